@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview `dld` command-line tool
+ */
+
+const { run } = require("../src/cli");
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
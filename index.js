@@ -4,7 +4,22 @@
  */
 
 const { Download } = require("./src/lib/download");
+const { DownloadQueue } = require("./src/lib/download-queue");
+const { StorageBackend } = require("./src/lib/storage-backend");
+const { FileManager } = require("./src/lib/file-manager");
+const { MemoryStorage } = require("./src/lib/memory-storage");
+const { CookieJar } = require("./src/utils/cookie-jar");
+const { JsonLinesLogger, ConsoleMessagesLogger } = require("./src/utils/logger");
+const errors = require("./src/errors/download-errors");
 
 module.exports = {
   Download,
+  DownloadQueue,
+  StorageBackend,
+  FileManager,
+  MemoryStorage,
+  CookieJar,
+  JsonLinesLogger,
+  ConsoleMessagesLogger,
+  ...errors,
 };
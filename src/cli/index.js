@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Entry point of the `dld` command-line tool
+ * @module cli
+ */
+
+const path = require("path");
+const { writeFile } = require("fs/promises");
+const { Download } = require("../lib/download");
+const { JsonLinesLogger } = require("../utils/logger");
+const { parseArgs, USAGE } = require("./args");
+const { readManifest } = require("./manifest");
+const { version } = require("../../package.json");
+
+/**
+ * Build the list of download items from positional URLs and the manifest
+ * @param {Array<string>} urls - URLs given as arguments
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Array<Object>>} Download items, with relative paths resolved against `--out`
+ */
+async function collectItems(urls, options) {
+  const manifestItems = options.input ? await readManifest(options.input) : [];
+  const out = options.out || "";
+
+  return [...urls.map((url) => ({ url })), ...manifestItems].map((item) => {
+    if (!item.url) throw new Error(`Manifest entry without url: ${JSON.stringify(item)}`);
+
+    const { path: itemPath = "", ...rest } = item;
+    const extract = options.extract ? { deleteArchive: Boolean(options.deleteArchive) } : undefined;
+    return { extract, ...rest, path: path.isAbsolute(itemPath) ? itemPath : path.join(out, itemPath) };
+  });
+}
+
+/**
+ * Parse `Name: value` header arguments
+ * @param {Array<string>} [headers=[]] - Header arguments
+ * @returns {Object} Headers by name
+ * @throws {Error} If a header has no name
+ */
+function parseHeaders(headers = []) {
+  const parsed = {};
+
+  for (const header of headers) {
+    const separator = header.indexOf(":");
+    if (separator <= 0) throw new Error(`Invalid header (expected "Name: value"): ${header}`);
+    parsed[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  }
+
+  return parsed;
+}
+
+/**
+ * Serialize a download result for the JSON report
+ * @param {Object} item - Download item
+ * @param {Object} result - Download result
+ * @returns {Object} Report entry
+ */
+function toReportEntry(item, result) {
+  const entry = { url: item.url, success: result.success, attempts: result.attempts };
+
+  if (result.success) {
+    entry.filePath = result.filePath;
+    if (result.checksum) entry.checksum = result.checksum;
+    Object.assign(entry, { finalUrl: result.finalUrl, status: result.status, bytesWritten: result.bytesWritten, duration: result.duration });
+  } else if (result.error) {
+    entry.error = { name: result.error.name, code: result.error.code, message: result.error.message };
+    if (result.error.status) entry.error.status = result.error.status;
+  }
+
+  if (result.mirror) entry.mirror = result.mirror;
+
+  return entry;
+}
+
+/**
+ * Write the JSON report of a run
+ * @param {string} reportPath - Report file path
+ * @param {Array<Object>} items - Download items
+ * @param {Array<Object>} results - Download results, in item order
+ * @param {Date} startedAt - Start of the run
+ */
+async function writeReport(reportPath, items, results, startedAt) {
+  const entries = items.map((item, i) => toReportEntry(item, results[i] || { success: false, error: new Error("Not started") }));
+  const report = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    total: entries.length,
+    succeeded: entries.filter((entry) => entry.success).length,
+    failed: entries.filter((entry) => !entry.success).length,
+    results: entries,
+  };
+
+  await writeFile(reportPath, JSON.stringify(report, null, 2) + "\n");
+}
+
+/**
+ * Run the `dld` tool
+ * @param {Array<string>} argv - Arguments (without the node executable and script path)
+ * @returns {Promise<number>} Exit code: 0 when every download succeeded, 1 when any failed, 2 on usage errors
+ */
+async function run(argv) {
+  let urls, options, items, headers;
+
+  try {
+    ({ urls, options } = parseArgs(argv));
+
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    if (options.version) {
+      console.log(version);
+      return 0;
+    }
+
+    headers = parseHeaders(options.headers);
+    items = await collectItems(urls, options);
+    if (items.length === 0) throw new Error("No URLs given (pass URLs as arguments or a manifest with --input)");
+  } catch (error) {
+    console.error(`dld: ${error.message}`);
+    console.error("Run 'dld --help' for usage.");
+    return 2;
+  }
+
+  const downloader = new Download({
+    logger: options.logJson ? new JsonLinesLogger({ stream: process.stderr }) : null,
+    logLevel: options.logLevel,
+    silent: options.quiet,
+    progress: !options.quiet,
+    timeout: options.timeout,
+    fileNamingStrategy: options.fileNamingStrategy,
+    ifExists: options.ifExists,
+    concurrency: options.concurrency,
+    connections: options.connections,
+    retries: options.retries,
+    resume: options.resume,
+    maxBytesPerSecond: options.maxBytesPerSecond,
+    maxSize: options.maxSize,
+    minSize: options.minSize,
+    allowedContentTypes: options.allowedContentTypes,
+    mirrorStrategy: options.mirrorStrategy,
+    headers,
+    userAgent: options.userAgent,
+    proxy: options.proxy,
+  });
+
+  const startedAt = new Date();
+  const results = await downloader.downloadMany(items, { checksumFile: options.checksumFile });
+
+  if (options.report) {
+    try {
+      await writeReport(options.report, items, results, startedAt);
+    } catch (error) {
+      console.error(`dld: Failed to write report: ${error.message}`);
+      return 1;
+    }
+  }
+
+  const allSucceeded = results.length === items.length && results.every((result) => result.success);
+  return allSucceeded ? 0 : 1;
+}
+
+module.exports = { run };
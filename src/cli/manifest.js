@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Manifest readers for the `dld` tool (txt, json and csv)
+ * @module cli/manifest
+ */
+
+const { readFile } = require("fs/promises");
+const path = require("path");
+
+/**
+ * Manifest columns, in their default order
+ * @type {Array<string>}
+ */
+const COLUMNS = ["url", "path", "fileName"];
+
+/**
+ * Parse a plain-text manifest: one URL per line, blank lines and `#` comments are ignored
+ * @param {string} content - File content
+ * @returns {Array<Object>} Download items
+ */
+function parseTextManifest(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"))
+    .map((url) => ({ url }));
+}
+
+/**
+ * Parse a JSON manifest: an array of URLs or of `{ url, path, fileName }` objects
+ * @param {string} content - File content
+ * @returns {Array<Object>} Download items
+ * @throws {Error} If the content is not an array
+ */
+function parseJsonManifest(content) {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data)) throw new Error("JSON manifest must be an array");
+
+  return data.map((entry) => (typeof entry === "string" ? { url: entry } : entry));
+}
+
+/**
+ * Split a CSV line into fields, supporting quoted fields with escaped quotes (`""`)
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse a CSV manifest with `url`, `path` and `fileName` columns
+ *
+ * A header row is optional; without it the columns are read in that order.
+ * @param {string} content - File content
+ * @returns {Array<Object>} Download items
+ */
+function parseCsvManifest(content) {
+  const rows = content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "" && !line.trim().startsWith("#"))
+    .map(splitCsvLine);
+
+  if (rows.length === 0) return [];
+
+  // Use the header row to map columns when there is one
+  let columns = COLUMNS;
+  const header = rows[0].map((name) => name.toLowerCase());
+  if (header.includes("url")) {
+    columns = rows.shift().map((name) => COLUMNS.find((column) => column.toLowerCase() === name.toLowerCase()) || null);
+  }
+
+  return rows.map((fields) => {
+    const item = {};
+    columns.forEach((column, index) => {
+      if (column && fields[index]) item[column] = fields[index];
+    });
+    return item;
+  });
+}
+
+/**
+ * Read a manifest file, using its extension to pick the format (`.json`, `.csv`, anything else is plain text)
+ * @param {string} filePath - Manifest path
+ * @returns {Promise<Array<Object>>} Download items (`{ url, path?, fileName? }`)
+ * @throws {Error} If the file cannot be read or parsed
+ */
+async function readManifest(filePath) {
+  const content = await readFile(filePath, "utf8");
+
+  switch (path.extname(filePath).toLowerCase()) {
+    case ".json":
+      return parseJsonManifest(content);
+    case ".csv":
+      return parseCsvManifest(content);
+    default:
+      return parseTextManifest(content);
+  }
+}
+
+module.exports = {
+  readManifest,
+  parseTextManifest,
+  parseJsonManifest,
+  parseCsvManifest,
+};
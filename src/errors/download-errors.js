@@ -41,6 +41,66 @@ class FetchError extends DownloadError {
   }
 }
 
+/**
+ * Error thrown when a server answers with an HTTP error status
+ * @class HttpStatusError
+ * @extends FetchError
+ */
+class HttpStatusError extends FetchError {
+  /**
+   * Create a new HttpStatusError
+   * @param {string} message - Error message
+   * @param {string} url - The URL that failed to fetch
+   * @param {number} status - HTTP status code
+   * @param {string} statusText - HTTP status message
+   * @param {Error} originalError - The original error, holding the response
+   */
+  constructor(message, url, status, statusText, originalError) {
+    super(message, url, originalError);
+    this.code = "HTTP_STATUS_ERROR";
+    this.status = status;
+    this.statusText = statusText;
+  }
+}
+
+/**
+ * Error thrown when a request gets no response, or a response stops sending data, within the timeout
+ * @class TimeoutError
+ * @extends DownloadError
+ */
+class TimeoutError extends DownloadError {
+  /**
+   * Create a new TimeoutError
+   * @param {string} message - Error message
+   * @param {string} url - The URL that timed out
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Error} originalError - The original error raised by the timeout
+   */
+  constructor(message, url, timeout, originalError) {
+    super(message, "TIMEOUT");
+    this.url = url;
+    this.timeout = timeout;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Error thrown when an option of a download is invalid
+ * @class InvalidOptionError
+ * @extends DownloadError
+ */
+class InvalidOptionError extends DownloadError {
+  /**
+   * Create a new InvalidOptionError
+   * @param {string} message - Error message
+   * @param {string} option - Name of the invalid option
+   */
+  constructor(message, option) {
+    super(message, "INVALID_OPTION");
+    this.option = option;
+  }
+}
+
 /**
  * Error thrown when a file system operation fails
  * @class FileSystemError
@@ -81,9 +141,206 @@ class DownloadFailedError extends DownloadError {
   }
 }
 
+/**
+ * Error thrown when downloaded data does not match the expected checksum
+ * @class ChecksumMismatchError
+ * @extends DownloadError
+ */
+class ChecksumMismatchError extends DownloadError {
+  /**
+   * Create a new ChecksumMismatchError
+   * @param {string} message - Error message
+   * @param {string} url - The URL that was downloaded
+   * @param {string} path - The file path of the downloaded data
+   * @param {string} algorithm - Hash algorithm used
+   * @param {string} expected - Expected hex digest
+   * @param {string} actual - Computed hex digest
+   */
+  constructor(message, url, path, algorithm, expected, actual) {
+    super(message, "CHECKSUM_MISMATCH");
+    this.url = url;
+    this.path = path;
+    this.algorithm = algorithm;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Error returned when a download is cancelled through an AbortSignal or its handle
+ * @class DownloadCancelledError
+ * @extends DownloadError
+ */
+class DownloadCancelledError extends DownloadError {
+  /**
+   * Create a new DownloadCancelledError
+   * @param {string} message - Error message
+   * @param {string} url - The URL whose download was cancelled
+   * @param {*} [reason] - The abort reason
+   */
+  constructor(message, url, reason) {
+    super(message, "DOWNLOAD_CANCELLED");
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error returned when the target file exists and the `ifExists` policy is `error`
+ * @class FileExistsError
+ * @extends DownloadError
+ */
+class FileExistsError extends DownloadError {
+  /**
+   * Create a new FileExistsError
+   * @param {string} message - Error message
+   * @param {string} path - The existing file path
+   */
+  constructor(message, path) {
+    super(message, "FILE_EXISTS");
+    this.path = path;
+  }
+}
+
+/**
+ * Error returned when a downloaded archive cannot be extracted
+ * @class ExtractionError
+ * @extends DownloadError
+ */
+class ExtractionError extends DownloadError {
+  /**
+   * Create a new ExtractionError
+   * @param {string} message - Error message
+   * @param {string} path - The archive path
+   * @param {Error} [originalError] - The original error that caused the extraction to fail
+   */
+  constructor(message, path, originalError) {
+    super(message, "EXTRACTION_FAILED");
+    this.path = path;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Error returned when a file is larger than the `maxSize` limit
+ * @class FileTooLargeError
+ * @extends DownloadError
+ */
+class FileTooLargeError extends DownloadError {
+  /**
+   * Create a new FileTooLargeError
+   * @param {string} message - Error message
+   * @param {string} url - The URL being downloaded
+   * @param {number} size - Size announced by the server, or bytes received when the limit was crossed
+   * @param {number} maxSize - Maximum size in bytes
+   */
+  constructor(message, url, size, maxSize) {
+    super(message, "FILE_TOO_LARGE");
+    this.url = url;
+    this.size = size;
+    this.maxSize = maxSize;
+  }
+}
+
+/**
+ * Error returned when a file is smaller than the `minSize` limit
+ * @class FileTooSmallError
+ * @extends DownloadError
+ */
+class FileTooSmallError extends DownloadError {
+  /**
+   * Create a new FileTooSmallError
+   * @param {string} message - Error message
+   * @param {string} url - The URL being downloaded
+   * @param {number} size - File size in bytes
+   * @param {number} minSize - Minimum size in bytes
+   */
+  constructor(message, url, size, minSize) {
+    super(message, "FILE_TOO_SMALL");
+    this.url = url;
+    this.size = size;
+    this.minSize = minSize;
+  }
+}
+
+/**
+ * Error returned when the `Content-Type` of a response is not in the `allowedContentTypes` list
+ * @class ContentTypeNotAllowedError
+ * @extends DownloadError
+ */
+class ContentTypeNotAllowedError extends DownloadError {
+  /**
+   * Create a new ContentTypeNotAllowedError
+   * @param {string} message - Error message
+   * @param {string} url - The URL being downloaded
+   * @param {string} contentType - Media type of the response
+   * @param {Array<string>} allowedContentTypes - Allowed media types
+   */
+  constructor(message, url, contentType, allowedContentTypes) {
+    super(message, "CONTENT_TYPE_NOT_ALLOWED");
+    this.url = url;
+    this.contentType = contentType;
+    this.allowedContentTypes = allowedContentTypes;
+  }
+}
+
+/**
+ * Error returned when the target directory does not have enough free space for a file
+ * @class InsufficientDiskSpaceError
+ * @extends DownloadError
+ */
+class InsufficientDiskSpaceError extends DownloadError {
+  /**
+   * Create a new InsufficientDiskSpaceError
+   * @param {string} message - Error message
+   * @param {string} path - The directory the file was to be written to
+   * @param {number} required - Bytes required (the file size plus the `minFreeSpace` margin)
+   * @param {number} available - Bytes available
+   */
+  constructor(message, path, required, available) {
+    super(message, "INSUFFICIENT_DISK_SPACE");
+    this.path = path;
+    this.required = required;
+    this.available = available;
+  }
+}
+
+/**
+ * Error returned when a plugin hook throws or rejects a download
+ * @class PluginError
+ * @extends DownloadError
+ */
+class PluginError extends DownloadError {
+  /**
+   * Create a new PluginError
+   * @param {string} message - Error message
+   * @param {string|null} plugin - Name of the plugin, if it has one
+   * @param {string} hook - Hook that failed
+   * @param {Error} originalError - The error thrown by the hook
+   */
+  constructor(message, plugin, hook, originalError) {
+    super(message, "PLUGIN_ERROR");
+    this.plugin = plugin;
+    this.hook = hook;
+    this.originalError = originalError;
+  }
+}
+
 module.exports = {
   DownloadError,
   FetchError,
+  HttpStatusError,
+  TimeoutError,
+  InvalidOptionError,
   FileSystemError,
   DownloadFailedError,
+  ChecksumMismatchError,
+  DownloadCancelledError,
+  FileExistsError,
+  ExtractionError,
+  FileTooLargeError,
+  FileTooSmallError,
+  ContentTypeNotAllowedError,
+  InsufficientDiskSpaceError,
+  PluginError,
 };
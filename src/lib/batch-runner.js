@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Batches of downloads run through a worker pool, with their events and checksum file
+ * @module lib/batch-runner
+ */
+
+const { readFile } = require("fs/promises");
+const { BufferedLogger } = require("../utils/buffered-logger");
+const { runWorkerPool } = require("../utils/worker-pool");
+const { parseChecksumFile } = require("../utils/checksum");
+const { getUrlFileName } = require("../utils/file-name");
+const { getUrlScheme } = require("../utils/protocols");
+const { getPrimaryUrl } = require("../utils/mirrors");
+const { toDownloadError } = require("./transfer");
+const { FetchError, FileSystemError } = require("../errors/download-errors");
+
+/**
+ * Runs the `downloadMany` batches of a download instance
+ *
+ * Every item goes through the `download` function of `internals` (the private download method of
+ * the instance), with the batch state it updates as it progresses.
+ * @class BatchRunner
+ */
+class BatchRunner {
+  /**
+   * Counter used to give every batch a unique identifier
+   * @private
+   * @type {number}
+   */
+  #batchCounter = 0;
+
+  /**
+   * Download instance the batches belong to
+   * @private
+   * @type {Download}
+   */
+  #downloader;
+
+  /**
+   * Private parts of the download instance: `download`, `fetchData`, `hasProtocol` and `emitEvent`
+   * @private
+   * @type {Object}
+   */
+  #internals;
+
+  /**
+   * Create the batch runner of a download instance
+   * @param {Download} downloader - Download instance
+   * @param {Object} internals - Private parts of the download instance
+   */
+  constructor(downloader, internals) {
+    this.#downloader = downloader;
+    this.#internals = internals;
+  }
+
+  /**
+   * Download a batch of items through the worker pool
+   * @param {Array<Object|string>} items - Download items
+   * @param {Object} batchOptions - Batch options (`concurrency`, `checksumFile`)
+   * @param {Array<DownloadHandle>} handles - Handle of each item
+   * @returns {Promise<Array<Object>>} Array of download results, in input order
+   */
+  async run(items, batchOptions, handles) {
+    const { concurrency = this.#downloader.concurrency, checksumFile = null } = batchOptions;
+
+    const totalDownloads = items.length;
+    let results = [];
+
+    const batch = {
+      batchId: ++this.#batchCounter,
+      total: totalDownloads,
+      concurrency,
+      completed: 0,
+      succeeded: 0,
+      failed: 0,
+      bytesReceived: new Map(),
+      startTime: Date.now(),
+      lastEmit: 0,
+    };
+
+    // While the terminal renderer draws one bar per active download,
+    // log records are deferred so the bars stay readable
+    const usesMultiBar = Boolean(this.#downloader.progressRenderer?.defersMessages({ concurrency, total: totalDownloads }));
+    const bufferedLogger = usesMultiBar ? new BufferedLogger(this.#downloader.logger) : null;
+    const context = { batch, logger: bufferedLogger };
+
+    try {
+      this.#downloader.logger.info(`Starting download of ${totalDownloads} file${totalDownloads > 1 ? "s" : ""}.`, { event: "batchStart", batchId: batch.batchId, total: totalDownloads, concurrency });
+      this.#internals.emitEvent("batchStart", { batchId: batch.batchId, total: totalDownloads, concurrency });
+
+      const checksums = checksumFile ? parseChecksumFile(await this.#readChecksumFile(checksumFile)) : null;
+
+      results = await runWorkerPool(items, concurrency, (options, i) => {
+        const { url, ...itemOptions } = typeof options === "string" ? { url: options } : options;
+
+        // Calculate download number for progress display
+        const downloadNumber = i + 1;
+
+        // Look up the expected checksum in the checksum file, or once the name is known when the response gives it
+        let itemChecksums = null;
+        if (checksums && !itemOptions.checksum) {
+          itemOptions.checksum = checksums.get(itemOptions.fileName) || checksums.get(getUrlFileName(getPrimaryUrl(url)));
+          if (!itemOptions.checksum) itemChecksums = checksums;
+        }
+
+        // Download the file
+        return this.#internals.download(url, { ...itemOptions, downloadNumber }, { ...context, handle: handles[i], checksums: itemChecksums });
+      });
+
+      this.#endBatch(batch, results, bufferedLogger);
+
+      // Log summary
+      const successCount = results.filter((result) => result.success).length;
+      this.#downloader.logger.info(`Download summary: ${successCount}/${totalDownloads} files downloaded successfully.`, {
+        event: "batchComplete",
+        batchId: batch.batchId,
+        total: totalDownloads,
+        succeeded: successCount,
+        failed: totalDownloads - successCount,
+        elapsed: Date.now() - batch.startTime,
+      });
+
+      return results;
+    } catch (error) {
+      // Items without a result (all of them when the checksum file cannot be read) fail with the batch error
+      const failure = toDownloadError(error, null, null);
+      results = items.map((_, i) => results[i] || { success: false, error: failure, attempts: 0, errors: [failure] });
+      batch.failed += totalDownloads - batch.completed;
+      batch.completed = totalDownloads;
+      this.#endBatch(batch, results, bufferedLogger);
+
+      this.#downloader.logger.error(`Error in batch download: ${error.message}`, { event: "batchError", batchId: batch.batchId, error });
+      return results;
+    } finally {
+      // Items that never ran (e.g. when the checksum file cannot be read) release their signals too
+      handles.forEach((handle) => handle.dispose());
+    }
+  }
+
+  /**
+   * Read a checksum file from a local path or URL
+   * @private
+   * @param {string} source - Path or URL (of any registered scheme) of the checksum file
+   * @returns {Promise<string>} File content
+   * @throws {FetchError} If the checksum file cannot be fetched
+   * @throws {FileSystemError} If the local checksum file cannot be read
+   */
+  async #readChecksumFile(source) {
+    if (!this.#internals.hasProtocol(getUrlScheme(source))) {
+      try {
+        return await readFile(source, "utf8");
+      } catch (error) {
+        throw new FileSystemError(`Failed to read checksum file: ${source}`, source, error);
+      }
+    }
+
+    try {
+      const response = await this.#internals.fetchData(source);
+      const chunks = [];
+      for await (const chunk of response.data) chunks.push(chunk);
+      return Buffer.concat(chunks).toString("utf8");
+    } catch (error) {
+      throw new FetchError(`Failed to fetch checksum file: ${source}`, source, error.originalError || error);
+    }
+  }
+
+  /**
+   * Emit a `batchProgress` event, at most once per progress interval unless forced
+   * @param {Object} batch - Batch state
+   * @param {boolean} [force=false] - Emit even if the interval has not elapsed
+   */
+  emitProgress(batch, force = false) {
+    const now = Date.now();
+    if (!force && now - batch.lastEmit < this.#downloader.progressInterval) return;
+    batch.lastEmit = now;
+
+    let bytesReceived = 0;
+    for (const bytes of batch.bytesReceived.values()) bytesReceived += bytes;
+    const elapsed = now - batch.startTime;
+
+    this.#internals.emitEvent("batchProgress", {
+      batchId: batch.batchId,
+      total: batch.total,
+      completed: batch.completed,
+      succeeded: batch.succeeded,
+      failed: batch.failed,
+      percent: batch.total > 0 ? (batch.completed / batch.total) * 100 : 100,
+      bytesReceived,
+      averageSpeed: elapsed > 0 ? bytesReceived / (elapsed / 1000) : 0,
+      elapsed,
+    });
+  }
+
+  /**
+   * Emit the `batchComplete` event and write deferred log records
+   * @private
+   * @param {Object} batch - Batch state
+   * @param {Array<Object>} results - Download results
+   * @param {BufferedLogger|null} bufferedLogger - Deferred log records
+   */
+  #endBatch(batch, results, bufferedLogger) {
+    this.#internals.emitEvent("batchComplete", {
+      batchId: batch.batchId,
+      total: batch.total,
+      succeeded: batch.succeeded,
+      failed: batch.failed,
+      elapsed: Date.now() - batch.startTime,
+      results,
+    });
+
+    if (bufferedLogger) bufferedLogger.flush();
+  }
+}
+
+module.exports = { BatchRunner };
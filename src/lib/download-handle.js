@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Handles used to control running downloads
+ * @module lib/download-handle
+ */
+
+const { EventEmitter } = require("events");
+
+/**
+ * Controls a single download: pause, resume or cancel it while it runs
+ *
+ * Emits `pause`, `resume` and `cancel` when its state changes.
+ * @class DownloadHandle
+ * @extends EventEmitter
+ */
+class DownloadHandle extends EventEmitter {
+  /**
+   * Controller aborted when the download is cancelled
+   * @private
+   * @type {AbortController}
+   */
+  #controller = new AbortController();
+
+  /**
+   * Whether the download is paused
+   * @private
+   * @type {boolean}
+   */
+  #paused = false;
+
+  /**
+   * Whether the download has finished
+   * @private
+   * @type {boolean}
+   */
+  #finished = false;
+
+  /**
+   * Functions removing the listeners registered on external signals
+   * @private
+   * @type {Array<Function>}
+   */
+  #unlinks = [];
+
+  /**
+   * Create a new DownloadHandle
+   * @param {Object} [options={}] - Handle options
+   * @param {string} [options.url=null] - URL being downloaded
+   * @param {Array<AbortSignal|null|undefined>} [options.signals=[]] - External signals that cancel the download when aborted
+   */
+  constructor(options = {}) {
+    const { url = null, signals = [] } = options;
+
+    super();
+
+    this.url = url;
+
+    /**
+     * Identifier of the download, as reported in events (set once the download starts)
+     * @type {number|null}
+     */
+    this.downloadId = null;
+
+    /**
+     * Download result, resolved once the download succeeds, fails or is cancelled
+     * @type {Promise<Object>|null}
+     */
+    this.result = null;
+
+    for (const signal of signals) {
+      if (signal) this.#link(signal);
+    }
+  }
+
+  /**
+   * Signal aborted when the download is cancelled
+   * @type {AbortSignal}
+   */
+  get signal() {
+    return this.#controller.signal;
+  }
+
+  /**
+   * Whether the download is paused
+   * @type {boolean}
+   */
+  get paused() {
+    return this.#paused;
+  }
+
+  /**
+   * Whether the download was cancelled
+   * @type {boolean}
+   */
+  get cancelled() {
+    return this.#controller.signal.aborted;
+  }
+
+  /**
+   * Pause the download; data stops flowing until `resume()` is called
+   * @returns {boolean} True if the download was paused by this call
+   */
+  pause() {
+    if (this.#paused || this.cancelled || this.#finished) return false;
+
+    this.#paused = true;
+    this.emit("pause");
+    return true;
+  }
+
+  /**
+   * Resume a paused download
+   * @returns {boolean} True if the download was resumed by this call
+   */
+  resume() {
+    if (!this.#paused || this.cancelled || this.#finished) return false;
+
+    this.#paused = false;
+    this.emit("resume");
+    return true;
+  }
+
+  /**
+   * Cancel the download; its partial file is removed and it resolves with a `DownloadCancelledError`
+   * @param {*} [reason] - Abort reason
+   * @returns {boolean} True if the download was cancelled by this call
+   */
+  cancel(reason) {
+    if (this.cancelled || this.#finished) return false;
+
+    this.#paused = false;
+    this.#controller.abort(reason);
+    this.emit("cancel", reason);
+    return true;
+  }
+
+  /**
+   * Wait until the download is not paused (or is cancelled)
+   * @returns {Promise<void>}
+   */
+  whenResumed() {
+    if (!this.#paused || this.cancelled) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const done = () => {
+        this.off("resume", done);
+        this.off("cancel", done);
+        resolve();
+      };
+
+      this.on("resume", done);
+      this.on("cancel", done);
+    });
+  }
+
+  /**
+   * Mark the download as finished and stop listening to external signals
+   */
+  dispose() {
+    this.#finished = true;
+    for (const unlink of this.#unlinks) unlink();
+    this.#unlinks = [];
+  }
+
+  /**
+   * Cancel the download when an external signal is aborted
+   * @private
+   * @param {AbortSignal} signal - External signal
+   */
+  #link(signal) {
+    if (signal.aborted) {
+      this.cancel(signal.reason);
+      return;
+    }
+
+    const onAbort = () => this.cancel(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    this.#unlinks.push(() => signal.removeEventListener("abort", onAbort));
+  }
+}
+
+/**
+ * Controls every download of a batch at once, and gives access to each download's handle
+ * @class BatchHandle
+ */
+class BatchHandle {
+  /**
+   * Create a new BatchHandle
+   * @param {Array<DownloadHandle>} handles - Handles of the batch items, in input order
+   */
+  constructor(handles) {
+    this.handles = handles;
+
+    /**
+     * Batch results, resolved once every download has finished
+     * @type {Promise<Array<Object>>|null}
+     */
+    this.result = null;
+  }
+
+  /**
+   * Pause every download of the batch
+   */
+  pause() {
+    this.handles.forEach((handle) => handle.pause());
+  }
+
+  /**
+   * Resume every paused download of the batch
+   */
+  resume() {
+    this.handles.forEach((handle) => handle.resume());
+  }
+
+  /**
+   * Cancel every unfinished download of the batch
+   * @param {*} [reason] - Abort reason
+   */
+  cancel(reason) {
+    this.handles.forEach((handle) => handle.cancel(reason));
+  }
+}
+
+module.exports = { DownloadHandle, BatchHandle };
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Download queue persisting the state of its items to a JSON journal
+ * @module lib/download-queue
+ */
+
+const path = require("path");
+const { EventEmitter } = require("events");
+const { Download } = require("./download");
+const { FileManager } = require("./file-manager");
+
+/**
+ * Version of the journal format
+ * @type {number}
+ */
+const JOURNAL_VERSION = 1;
+
+/**
+ * Item options that cannot be saved in the journal
+ * @type {Array<string>}
+ */
+const TRANSIENT_OPTIONS = ["signal", "cookieJar", "downloadNumber"];
+
+/**
+ * State of a queue item, as saved in the journal
+ * @typedef {Object} QueueEntry
+ * @property {string} id - Item identifier (given as `id`, or derived from the URL, path and file name)
+ * @property {string} url - URL to download from
+ * @property {Object} options - Download options of the item (see `Download.downloadOne`)
+ * @property {string} status - 'pending', 'active', 'done' or 'failed'
+ * @property {string|null} filePath - File path, once known
+ * @property {number} bytesWritten - Bytes received so far
+ * @property {number|null} totalBytes - Expected size, when known
+ * @property {number} attempts - Attempts made by the last run of the item
+ * @property {string|null} action - Action taken on success ('downloaded', 'skipped'...)
+ * @property {Object|null} checksum - Checksum of the file on success (`{ algorithm, value }`)
+ * @property {Object|null} error - Failure (`{ name, code, message }`)
+ * @property {string} updatedAt - ISO date of the last change
+ */
+
+/**
+ * Runs downloads from a queue that survives process restarts
+ *
+ * Every item's state is saved to `stateFile`. A new queue given the same file reloads it: completed
+ * items are skipped, interrupted ones resume from their `.part` file (items always run with
+ * `resume: true`), and pending ones run. Failed items stay failed until they are added again.
+ * Items can be added while the queue runs.
+ *
+ * Emits `itemStart`, `itemComplete` (with the entry and the download result) and `drain`.
+ * @class DownloadQueue
+ * @extends EventEmitter
+ */
+class DownloadQueue extends EventEmitter {
+  /**
+   * Entries by identifier, in insertion order
+   * @private
+   * @type {Map<string, QueueEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * Entries of the running downloads by download identifier
+   * @private
+   * @type {Map<number, QueueEntry>}
+   */
+  #running = new Map();
+
+  /**
+   * Callbacks of pending `drain()` calls
+   * @private
+   * @type {Array<Function>}
+   */
+  #drainWaiters = [];
+
+  /**
+   * Journal writes, chained so they never overlap
+   * @private
+   * @type {Promise<void>}
+   */
+  #saving = Promise.resolve();
+
+  /**
+   * Timer of the next journal write after progress
+   * @private
+   * @type {NodeJS.Timeout|null}
+   */
+  #saveTimer = null;
+
+  /**
+   * Create a new DownloadQueue
+   * @param {Object} [options={}] - Queue options
+   * @param {Download} [options.downloader] - Download instance running the items (a new one with default options by default)
+   * @param {string} [options.stateFile=null] - Path of the JSON journal (no persistence when null)
+   * @param {StorageBackend} [options.storage] - Storage backend of the journal (a `FileManager` writing to disk by default)
+   * @param {number} [options.concurrency] - Maximum number of parallel downloads (the downloader's `concurrency` by default)
+   * @param {number} [options.saveInterval=1000] - Minimum time between two journal writes caused by progress, in milliseconds
+   * @param {boolean} [options.autoStart=true] - Start items as soon as they are added (or reloaded); otherwise call `start()`
+   */
+  constructor(options = {}) {
+    const { downloader = null, stateFile = null, storage = null, concurrency = null, saveInterval = 1000, autoStart = true } = options;
+
+    super();
+
+    this.downloader = downloader || new Download();
+    this.logger = this.downloader.logger;
+    this.stateFile = stateFile;
+    this.storage = storage || new FileManager(this.logger);
+    this.concurrency = concurrency || this.downloader.concurrency;
+    this.saveInterval = saveInterval;
+    this.started = autoStart;
+
+    // Progress of the running items comes from the downloader events
+    this.downloader.on("start", (event) => this.#onProgress(event));
+    this.downloader.on("progress", (event) => this.#onProgress(event));
+
+    if (stateFile) this.#load();
+
+    // Reloaded items start on the next tick, once listeners are attached
+    if (autoStart) process.nextTick(() => this.#pump());
+  }
+
+  /**
+   * State of every item, in insertion order
+   * @type {Array<QueueEntry>}
+   */
+  get items() {
+    return [...this.#entries.values()].map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Whether no item is pending or running
+   * @type {boolean}
+   */
+  get idle() {
+    return this.#running.size === 0 && !this.#nextPending();
+  }
+
+  /**
+   * Add items to the queue
+   *
+   * An item already known (same `id`, or same URL, path and file name) is not added twice:
+   * a completed one is left alone, and a failed one is queued again.
+   * @param {Object|string|Array<Object|string>} items - Download items (see `Download.downloadMany`), or plain URLs
+   * @returns {Array<QueueEntry>} Entries of the items, in input order
+   */
+  add(items) {
+    const list = Array.isArray(items) ? items : [items];
+
+    const entries = list.map((item) => {
+      const { url, id = null, ...options } = typeof item === "string" ? { url: item } : item;
+      if (!url) throw new Error(`Queue item without url: ${JSON.stringify(item)}`);
+
+      const key = id !== null ? String(id) : [url, options.path || "", options.fileName || ""].join(" ");
+      const existing = this.#entries.get(key);
+
+      if (existing) {
+        if (existing.status === "done" || existing.status === "active") return { ...existing };
+
+        // Live options replace the saved ones, and a failed item gets another chance
+        existing.options = options;
+        this.#setStatus(existing, "pending", { error: null });
+        return { ...existing };
+      }
+
+      const entry = {
+        id: key,
+        url,
+        options,
+        status: "pending",
+        filePath: null,
+        bytesWritten: 0,
+        totalBytes: null,
+        attempts: 0,
+        action: null,
+        checksum: null,
+        error: null,
+        updatedAt: new Date().toISOString(),
+      };
+      this.#entries.set(key, entry);
+      return { ...entry };
+    });
+
+    this.#scheduleSave(true);
+    if (this.started) this.#pump();
+    return entries;
+  }
+
+  /**
+   * Get the state of an item
+   * @param {string} id - Item identifier
+   * @returns {QueueEntry|null} Entry, or null if the item is unknown
+   */
+  get(id) {
+    const entry = this.#entries.get(String(id));
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Start running the items (only needed with `autoStart: false`)
+   * @returns {DownloadQueue} This queue
+   */
+  start() {
+    this.started = true;
+    this.#pump();
+    return this;
+  }
+
+  /**
+   * Wait until every item has completed or failed, including items added in the meantime
+   *
+   * A queue created with `autoStart: false` is started, since its items would never complete otherwise.
+   * @returns {Promise<Array<QueueEntry>>} State of every item, once the journal is saved
+   */
+  drain() {
+    return new Promise((resolve) => {
+      this.#drainWaiters.push(resolve);
+      this.start();
+    });
+  }
+
+  /**
+   * Start pending items until the concurrency limit is reached
+   * @private
+   */
+  #pump() {
+    while (this.started && this.#running.size < this.concurrency) {
+      const entry = this.#nextPending();
+      if (!entry) break;
+      this.#run(entry);
+    }
+
+    if (this.idle) this.#settle();
+  }
+
+  /**
+   * Find the first pending item
+   * @private
+   * @returns {QueueEntry|undefined} Entry
+   */
+  #nextPending() {
+    for (const entry of this.#entries.values()) {
+      if (entry.status === "pending") return entry;
+    }
+    return undefined;
+  }
+
+  /**
+   * Download an item and record its outcome
+   * @private
+   * @param {QueueEntry} entry - Entry to run
+   */
+  #run(entry) {
+    // A file named by a previous run keeps its name, so its `.part` file is found again
+    const options = { ...entry.options, id: entry.id, resume: true };
+    if (!options.fileName && entry.filePath) options.fileName = path.basename(entry.filePath);
+
+    const handle = this.downloader.start(entry.url, options);
+    this.#running.set(handle.downloadId, entry);
+    this.#setStatus(entry, "active");
+    this.emit("itemStart", { ...entry });
+
+    handle.result
+      .then((result) => {
+        this.#running.delete(handle.downloadId);
+
+        const details = { attempts: result.attempts || 0, filePath: result.filePath || entry.filePath };
+        if (result.success) {
+          this.#setStatus(entry, "done", { ...details, action: result.action || null, checksum: result.checksum || null, error: null });
+        } else {
+          const { name, code = null, message } = result.error || {};
+          this.#setStatus(entry, "failed", { ...details, error: { name, code, message } });
+        }
+
+        this.emit("itemComplete", { ...entry }, result);
+        this.#pump();
+      })
+      .catch((error) => {
+        // Recording the outcome failed (e.g. an `itemComplete` listener threw): the item must not stay running
+        this.#running.delete(handle.downloadId);
+        this.logger.error(`Failed to record queue item: ${entry.id}\nError details: ${error.message}`, { event: "queueError", id: entry.id, error });
+
+        if (entry.status === "active") {
+          const { name, code = null, message } = error;
+          this.#setStatus(entry, "failed", { error: { name, code, message } });
+        }
+        this.#pump();
+      });
+  }
+
+  /**
+   * Record the progress of a running item
+   * @private
+   * @param {Object} event - `start` or `progress` event of the downloader
+   */
+  #onProgress(event) {
+    const entry = this.#running.get(event.downloadId);
+    if (!entry) return;
+
+    entry.filePath = event.filePath;
+    entry.bytesWritten = event.bytesReceived;
+    entry.totalBytes = event.totalBytes ?? null;
+    entry.updatedAt = new Date().toISOString();
+    this.#scheduleSave(false);
+  }
+
+  /**
+   * Change the status of an entry and save the journal
+   * @private
+   * @param {QueueEntry} entry - Entry
+   * @param {string} status - New status
+   * @param {Object} [fields={}] - Other fields to update
+   */
+  #setStatus(entry, status, fields = {}) {
+    Object.assign(entry, fields, { status, updatedAt: new Date().toISOString() });
+    this.#scheduleSave(true);
+  }
+
+  /**
+   * Resolve the pending `drain()` calls once the journal is saved
+   * @private
+   */
+  #settle() {
+    if (this.#drainWaiters.length === 0) return;
+
+    const waiters = this.#drainWaiters;
+    this.#drainWaiters = [];
+
+    this.#scheduleSave(true).then(() => {
+      const items = this.items;
+      this.emit("drain", items);
+      waiters.forEach((resolve) => resolve(items));
+    });
+  }
+
+  /**
+   * Load the journal, turning interrupted items back into pending ones
+   * @private
+   */
+  #load() {
+    this.storage.ensureDirectoryExists(path.dirname(this.stateFile));
+
+    const journal = this.storage.readJsonFile(this.stateFile);
+    if (!journal || !Array.isArray(journal.items)) return;
+
+    for (const entry of journal.items) {
+      if (!entry || !entry.id || !entry.url) continue;
+      this.#entries.set(entry.id, { ...entry, status: entry.status === "active" ? "pending" : entry.status });
+    }
+  }
+
+  /**
+   * Save the journal now, or after the save interval
+   * @private
+   * @param {boolean} immediate - Save now instead of waiting for the interval
+   * @returns {Promise<void>} Resolves once the journal is written
+   */
+  #scheduleSave(immediate) {
+    if (!this.stateFile) return Promise.resolve();
+
+    if (!immediate) {
+      if (!this.#saveTimer) {
+        this.#saveTimer = setTimeout(() => {
+          this.#saveTimer = null;
+          this.#save();
+        }, this.saveInterval);
+      }
+      return this.#saving;
+    }
+
+    clearTimeout(this.#saveTimer);
+    this.#saveTimer = null;
+    return this.#save();
+  }
+
+  /**
+   * Write the journal through a temp file, so a crash never leaves it half-written
+   * @private
+   * @returns {Promise<void>} Resolves once the journal is written
+   */
+  #save() {
+    this.#saving = this.#saving
+      .then(async () => {
+        const items = [...this.#entries.values()].map((entry) => ({ ...entry, options: this.#serializeOptions(entry.options) }));
+        const tempPath = this.storage.createTempPath(this.stateFile);
+
+        this.storage.writeJsonFile(tempPath, { version: JOURNAL_VERSION, updatedAt: new Date().toISOString(), items });
+        await this.storage.renameFile(tempPath, this.stateFile);
+      })
+      .catch((error) => this.logger.error(`Failed to save queue state: ${this.stateFile}\nError details: ${error.message}`, { event: "queueSaveError", stateFile: this.stateFile, error }));
+
+    return this.#saving;
+  }
+
+  /**
+   * Keep the item options that can be saved as JSON
+   * @private
+   * @param {Object} options - Item options
+   * @returns {Object} Serializable options
+   */
+  #serializeOptions(options) {
+    const serializable = {};
+
+    for (const [name, value] of Object.entries(options)) {
+      if (TRANSIENT_OPTIONS.includes(name) || typeof value === "function") continue;
+      serializable[name] = value;
+    }
+
+    return serializable;
+  }
+}
+
+module.exports = { DownloadQueue };
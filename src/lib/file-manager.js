@@ -3,23 +3,36 @@
  * @module lib/file-manager
  */
 
-const { existsSync, createWriteStream } = require("fs");
-const path = require("path");
+const { existsSync, createWriteStream, createReadStream, statSync, readFileSync, writeFileSync, unlinkSync, promises: fsPromises } = require("fs");
 const { CreatePath } = require("@el-zazo/path-utils");
+const { StorageBackend } = require("./storage-backend");
+const { createLogger } = require("../utils/logger");
 const { FileSystemError } = require("../errors/download-errors");
 
 /**
- * Manages file operations for downloads
+ * Manages file operations for downloads: the default storage backend, writing to disk
  * @class FileManager
+ * @extends StorageBackend
  */
-class FileManager {
+class FileManager extends StorageBackend {
   /**
    * Create a new FileManager instance
-   * @param {ConsoleMessages} consoleMessages - Console messages instance for logging
+   * @param {Logger|ConsoleMessages|Object} [logger=null] - Logger (see `Download`), or ConsoleMessages instance, for logging
    */
-  constructor(consoleMessages) {
-    this.consoleMessages = consoleMessages;
-    this.pathCreator = new CreatePath(consoleMessages);
+  constructor(logger = null) {
+    super();
+
+    this.logger = createLogger(logger);
+    this.pathCreator = new CreatePath(this.logger.toConsoleMessages());
+  }
+
+  /**
+   * Checks whether a file exists on disk
+   * @param {string} filePath - File path
+   * @returns {boolean} True if the file exists
+   */
+  fileExists(filePath) {
+    return existsSync(filePath);
   }
 
   /**
@@ -38,71 +51,137 @@ class FileManager {
   }
 
   /**
-   * Normalizes a directory path to ensure it ends with a separator
-   * @param {string} dirPath - Directory path to normalize
-   * @returns {string} Normalized directory path
+   * Creates a write stream for a file
+   * @param {string} filePath - Path to the file
+   * @param {Object} [options={}] - Write stream options
+   * @param {string} [options.flags='w'] - File system flags ('w' to truncate, 'a' to append, 'r+' to write in place)
+   * @param {number} [options.start] - Byte position to start writing at (with 'r+')
+   * @returns {WriteStream} Node.js write stream
+   * @throws {FileSystemError} If stream creation fails
    */
-  normalizeDirPath(dirPath) {
-    if (dirPath.trim() === "") return "";
-    return dirPath.trim().endsWith(path.sep) ? dirPath.trim() : `${dirPath.trim()}${path.sep}`;
+  createFileWriteStream(filePath, options = {}) {
+    const { flags = "w", start } = options;
+
+    try {
+      return createWriteStream(filePath, { flags, start });
+    } catch (error) {
+      throw new FileSystemError(`Failed to create write stream for file: ${filePath}`, filePath, error);
+    }
   }
 
   /**
-   * Generates a unique filename if the original already exists
-   * @param {string} dirPath - Directory path
-   * @param {string} fileName - Original filename
-   * @param {Object} options - Options for filename generation
-   * @param {string} [options.strategy='timestamp'] - Strategy for generating unique names ('timestamp', 'counter', 'random')
-   * @returns {string} Unique filename
+   * Creates a read stream for a file, or a byte range of it
+   * @param {string} filePath - Path to the file
+   * @param {Object} [options={}] - Read stream options
+   * @param {number} [options.start] - First byte to read
+   * @param {number} [options.end] - Last byte to read (inclusive)
+   * @returns {ReadStream} Node.js read stream
    */
-  generateUniqueFilename(dirPath, fileName, options = {}) {
-    const { strategy = "timestamp" } = options;
-    const normalizedPath = this.normalizeDirPath(dirPath);
-    const fullPath = `${normalizedPath}${fileName}`;
-
-    // If file doesn't exist, return original name
-    if (!existsSync(fullPath)) return fileName;
-
-    // Parse filename and extension
-    const lastDotIndex = fileName.lastIndexOf(".");
-    const baseName = lastDotIndex !== -1 ? fileName.substring(0, lastDotIndex) : fileName;
-    const extension = lastDotIndex !== -1 ? fileName.substring(lastDotIndex) : "";
-
-    // Generate unique name based on strategy
-    let uniqueName;
-    switch (strategy) {
-      case "timestamp":
-        uniqueName = `${baseName}-${Date.now()}${extension}`;
-        break;
-      case "counter":
-        let counter = 1;
-        do {
-          uniqueName = `${baseName}-(${counter})${extension}`;
-          counter++;
-        } while (existsSync(`${normalizedPath}${uniqueName}`));
-        break;
-      case "random":
-        const randomStr = Math.random().toString(36).substring(2, 8);
-        uniqueName = `${baseName}-${randomStr}${extension}`;
-        break;
-      default:
-        uniqueName = `${baseName}-${Date.now()}${extension}`;
+  createFileReadStream(filePath, options = {}) {
+    const { start, end } = options;
+    return createReadStream(filePath, { start, end });
+  }
+
+  /**
+   * Gets the size of a file
+   * @param {string} filePath - Path to the file
+   * @returns {number} File size in bytes, or 0 if the file does not exist
+   */
+  getFileSize(filePath) {
+    try {
+      return statSync(filePath).size;
+    } catch (error) {
+      return 0;
     }
+  }
 
-    return uniqueName;
+  /**
+   * Gets the space available to this process on the file system of a directory
+   * @param {string} dirPath - Directory path ('' for the current directory)
+   * @returns {Promise<number|null>} Available bytes, or null if it cannot be determined
+   */
+  async getFreeSpace(dirPath) {
+    try {
+      const stats = await fsPromises.statfs(dirPath.trim() === "" ? "." : dirPath);
+      return stats.bavail * stats.bsize;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
-   * Creates a write stream for a file
+   * Creates (or truncates) a file with a given size, so it can be written at any offset
    * @param {string} filePath - Path to the file
-   * @returns {WriteStream} Node.js write stream
-   * @throws {FileSystemError} If stream creation fails
+   * @param {number} size - File size in bytes
+   * @returns {Promise<void>}
+   * @throws {FileSystemError} If the file cannot be created
    */
-  createFileWriteStream(filePath) {
+  async allocateFile(filePath, size) {
     try {
-      return createWriteStream(filePath);
+      const fileHandle = await fsPromises.open(filePath, "w");
+      try {
+        await fileHandle.truncate(size);
+      } finally {
+        await fileHandle.close();
+      }
     } catch (error) {
-      throw new FileSystemError(`Failed to create write stream for file: ${filePath}`, filePath, error);
+      throw new FileSystemError(`Failed to allocate file: ${filePath}`, filePath, error);
+    }
+  }
+
+  /**
+   * Renames (moves) a file
+   * @param {string} fromPath - Current file path
+   * @param {string} toPath - New file path
+   * @returns {Promise<void>}
+   * @throws {FileSystemError} If the rename fails
+   */
+  async renameFile(fromPath, toPath) {
+    try {
+      await fsPromises.rename(fromPath, toPath);
+    } catch (error) {
+      throw new FileSystemError(`Failed to rename file: ${fromPath} -> ${toPath}`, fromPath, error);
+    }
+  }
+
+  /**
+   * Removes a file if it exists
+   * @param {string} filePath - Path to the file
+   * @returns {boolean} True if the file was removed
+   */
+  removeFile(filePath) {
+    try {
+      unlinkSync(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Reads and parses a JSON file
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Object|null} Parsed content, or null if the file is missing or invalid
+   */
+  readJsonFile(filePath) {
+    try {
+      return JSON.parse(readFileSync(filePath, "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes data to a JSON file
+   * @param {string} filePath - Path to the JSON file
+   * @param {Object} data - Data to serialize
+   * @throws {FileSystemError} If the write fails
+   */
+  writeJsonFile(filePath, data) {
+    try {
+      writeFileSync(filePath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      throw new FileSystemError(`Failed to write file: ${filePath}`, filePath, error);
     }
   }
 }
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Downloads of HLS streams, whose segments are concatenated into one file
+ * @module lib/hls-transfer
+ */
+
+const { pipeline, Readable } = require("stream");
+const { createHash, createDecipheriv } = require("crypto");
+const { ProgressTracker } = require("../utils/progress-tracker");
+const { isRetryableError, getRetryDelay, sleep } = require("../utils/retry");
+const { parsePlaylist, selectVariant, getSegmentIv, getHlsFileName } = require("../utils/hls");
+const { runHooks, collectTransforms } = require("../utils/plugins");
+const { SKIPPED_DETAILS, createThrottle, resolveChecksum, rejectCorrupted, pipeToFile } = require("./transfer");
+const { TimeoutError, DownloadFailedError, DownloadCancelledError, FileTooLargeError, FileTooSmallError } = require("../errors/download-errors");
+
+/**
+ * Fetches the segments of an HLS playlist in order and writes them to a single file
+ *
+ * Used by `Download` for playlist URLs. Like `HttpTransfer`, it gets the private parts of the
+ * download instance it needs as `internals`, plus `fetchText` to read the playlists.
+ * @class HlsTransfer
+ */
+class HlsTransfer {
+  /**
+   * Download instance the transfers belong to
+   * @private
+   * @type {Download}
+   */
+  #downloader;
+
+  /**
+   * Private parts of the download instance: `fetchData`, `fetchText`, `emitEvent`, `reportProgress`, `resolveFilePath` and `plugins`
+   * @private
+   * @type {Object}
+   */
+  #internals;
+
+  /**
+   * Create the HLS transfers of a download instance
+   * @param {Download} downloader - Download instance
+   * @param {Object} internals - Private parts of the download instance
+   */
+  constructor(downloader, internals) {
+    this.#downloader = downloader;
+    this.#internals = internals;
+  }
+
+  /**
+   * Make a single attempt at downloading an HLS stream: its segments are concatenated into one file
+   *
+   * A master playlist is resolved to one of its variants first. Segments are fetched in order, each
+   * retried on its own, decrypted when the playlist sets an `AES-128` key, and written one after the other.
+   * @param {string} url - URL of the master or media playlist
+   * @param {Object} target - Download target (see `HttpTransfer#run`)
+   * @param {Object} options - Transfer options (see `HttpTransfer#run`), plus `hlsVariant`, the normalized variant selection
+   * @param {Object} item - Fields shared by every event of the download
+   * @param {Object} context - Batch context (see `Download#download`)
+   * @returns {Promise<Object>} `{ success: true, filePath, checksum, action, hls }` with the details of the media playlist response,
+   *   `bytesWritten` and `averageSpeed`, or `{ success: false, error, retryable, rewritable }`
+   *   (only failures to read the playlist are retryable, since segments use up their own retries)
+   */
+  async run(url, target, options, item, context) {
+    const { checksumMismatch, maxBytesPerSecond, limits, retryOptions, requestOptions, hlsVariant, attempt, handle } = options;
+    const { storage } = target;
+    const { signal } = handle;
+    const { batch } = context;
+
+    let tempPath = null;
+    let dataStream = null;
+
+    try {
+      const playlist = await this.#loadPlaylist(url, hlsVariant, { signal, requestOptions });
+
+      // Segments are concatenated into a `.ts` file named after the playlist
+      if (!target.filePath) target.filePath = await this.#internals.resolveFilePath(target, getHlsFileName(url), url, item);
+      if (target.action === "skipped") return { success: true, filePath: target.filePath, action: "skipped", ...SKIPPED_DETAILS };
+
+      const checksum = resolveChecksum(options.checksum, target, item, context, this.#downloader.logger);
+
+      // Plugins see the media playlist response
+      const responseDetails = { url, ...playlist.details };
+      await runHooks(this.#internals.plugins, "afterResponse", responseDetails, item);
+
+      const { filePath } = target;
+      const segmentsTotal = playlist.segments.length;
+      if (!playlist.endList) {
+        (context.logger || this.#downloader.logger).info(`Live HLS playlist: downloading the ${segmentsTotal} segments listed now from URL: ${playlist.url}`, { event: "liveHls", ...item, filePath, segmentsTotal });
+      }
+
+      tempPath = storage.createTempPath(filePath);
+      const { throttle, throttled, idleTimeout } = createThrottle(this.#downloader, maxBytesPerSecond, batch, 1);
+
+      // The size is unknown until the last segment, so progress also counts segments
+      const hash = createHash(checksum.algorithm);
+      const tracker = new ProgressTracker({ totalBytes: null });
+      let segmentsCompleted = 0;
+      let fileSize = 0;
+      let lastProgressTime = 0;
+
+      const emitProgress = (snapshot) => {
+        lastProgressTime = Date.now();
+        const percent = (segmentsCompleted / segmentsTotal) * 100;
+        this.#internals.reportProgress({ ...item, filePath, attempt, ...snapshot, percent, segmentsCompleted, segmentsTotal }, context);
+      };
+
+      const onData = (chunk) => {
+        const snapshot = tracker.update(chunk.length);
+        if (Date.now() - lastProgressTime >= this.#downloader.progressInterval) emitProgress(snapshot);
+      };
+
+      const onSegment = () => {
+        segmentsCompleted++;
+        emitProgress(tracker.snapshot());
+      };
+
+      this.#internals.emitEvent("start", { ...item, filePath, attempt, bytesReceived: 0, totalBytes: null, connections: 1, segmentsTotal });
+
+      // Segments are only fetched as fast as they are written, so pausing the download stops fetching too
+      const segmentOptions = { filePath, throttle, idleTimeout: throttled ? idleTimeout : null, onData, onSegment, retryOptions, requestOptions, item, attempt, handle };
+      dataStream = Readable.from(this.#readSegments(url, playlist.segments, segmentOptions), { objectMode: false, highWaterMark: 1 });
+
+      const transforms = await collectTransforms(this.#internals.plugins, { ...responseDetails, filePath }, item);
+      if (transforms.length > 0) dataStream = pipeline(dataStream, ...transforms, () => {});
+
+      const readStream = dataStream;
+      readStream.on("data", (chunk) => {
+        hash.update(chunk);
+        fileSize += chunk.length;
+        if (limits.maxSize !== null && fileSize > limits.maxSize) {
+          readStream.destroy(new FileTooLargeError(`File exceeds the maximum size of ${limits.maxSize} bytes for URL: ${url}`, url, fileSize, limits.maxSize));
+        }
+      });
+
+      const writeStream = storage.createFileWriteStream(tempPath, { flags: "w" });
+      await pipeToFile(dataStream, writeStream, { url, filePath, tempPath, keepPartial: false, handle, request: null, idleTimeout });
+
+      const summary = tracker.snapshot();
+      emitProgress(summary);
+
+      if (limits.minSize !== null && fileSize < limits.minSize) {
+        throw new FileTooSmallError(`File is smaller than the minimum size of ${limits.minSize} bytes for URL: ${url} (got ${fileSize})`, url, fileSize, limits.minSize);
+      }
+
+      const digest = hash.digest("hex");
+      if (checksum.value && digest !== checksum.value) {
+        return rejectCorrupted(url, { storage, tempPath, filePath, checksum, checksumMismatch, digest });
+      }
+
+      await storage.renameFile(tempPath, filePath);
+
+      // Response details describe the media playlist
+      const hls = { playlistUrl: playlist.url, variant: playlist.variant, segments: segmentsTotal };
+      return {
+        success: true,
+        filePath,
+        checksum: { algorithm: checksum.algorithm, value: digest },
+        action: target.action,
+        ...playlist.details,
+        bytesWritten: fileSize,
+        averageSpeed: Math.round(summary.averageSpeed),
+        hls,
+      };
+    } catch (error) {
+      if (dataStream) dataStream.destroy();
+      if (tempPath) storage.removeFile(tempPath);
+
+      const rewritable = storage.canRewrite(tempPath);
+      return { success: false, error, retryable: !tempPath && rewritable, rewritable };
+    }
+  }
+
+  /**
+   * Load the media playlist of an HLS download, choosing a variant when given a master playlist
+   * @private
+   * @param {string} url - URL of the master or media playlist
+   * @param {string|Object} selection - Normalized variant selection
+   * @param {Object} fetchOptions - Fetch options (`signal`, `requestOptions`)
+   * @returns {Promise<{url: string, variant: HlsVariant|null, segments: Array<HlsSegment>, endList: boolean, details: Object}>} Media playlist,
+   *   with the details of its response (see `describeResponse`)
+   * @throws {DownloadError} If a playlist cannot be fetched, is invalid or has no segments
+   */
+  async #loadPlaylist(url, selection, fetchOptions) {
+    const parse = (page) => {
+      try {
+        return parsePlaylist(page.text, page.url);
+      } catch (error) {
+        throw new DownloadFailedError(`Invalid HLS playlist from URL: ${page.url}`, url, null, error);
+      }
+    };
+
+    let page = await this.#internals.fetchText(url, fetchOptions);
+    let playlist = parse(page);
+    let variant = null;
+
+    if (playlist.type === "master") {
+      try {
+        variant = selectVariant(playlist.variants, selection);
+      } catch (error) {
+        throw new DownloadFailedError(`Invalid HLS playlist from URL: ${page.url}`, url, null, error);
+      }
+
+      page = await this.#internals.fetchText(variant.url, fetchOptions);
+      playlist = parse(page);
+      if (playlist.type !== "media") throw new DownloadFailedError(`Variant is not a media playlist: ${page.url}`, url, null, null);
+    }
+
+    if (playlist.segments.length === 0) throw new DownloadFailedError(`HLS playlist has no segments: ${page.url}`, url, null, null);
+    return { url: page.url, variant, segments: playlist.segments, endList: playlist.endList, details: page.details };
+  }
+
+  /**
+   * Fetch, decrypt and yield the segments of a media playlist, in order
+   *
+   * An initialization section (`#EXT-X-MAP`) is yielded before the first segment using it. Keys are fetched once.
+   * @private
+   * @param {string} url - Playlist URL (for errors)
+   * @param {Array<HlsSegment>} segments - Segments to fetch
+   * @param {Object} options - Segment options (see `#fetchResource`), plus `onSegment`, called after each segment
+   * @yields {Buffer} Decrypted data of each segment
+   */
+  async *#readSegments(url, segments, options) {
+    const { filePath, onSegment } = options;
+    const keys = new Map();
+    let currentMap = null;
+
+    const decrypt = async (data, segment, resourceUrl) => {
+      if (!segment.key) return data;
+
+      if (!keys.has(segment.key.url)) {
+        const key = await this.#fetchResource(segment.key.url, null, { ...options, onData: null });
+        if (key.length !== 16) throw new DownloadFailedError(`Invalid HLS key (expected 16 bytes, got ${key.length}) from URL: ${segment.key.url}`, url, filePath, null);
+        keys.set(segment.key.url, key);
+      }
+
+      try {
+        const decipher = createDecipheriv("aes-128-cbc", keys.get(segment.key.url), getSegmentIv(segment));
+        return Buffer.concat([decipher.update(data), decipher.final()]);
+      } catch (error) {
+        throw new DownloadFailedError(`Failed to decrypt HLS segment: ${resourceUrl}`, url, filePath, error);
+      }
+    };
+
+    for (const [index, segment] of segments.entries()) {
+      if (segment.map && segment.map !== currentMap) {
+        currentMap = segment.map;
+        const map = await this.#fetchResource(segment.map.url, segment.map.byteRange, { ...options, index });
+        yield await decrypt(map, segment, segment.map.url);
+      }
+
+      const data = await this.#fetchResource(segment.url, segment.byteRange, { ...options, index });
+      const decrypted = await decrypt(data, segment, segment.url);
+      onSegment();
+      yield decrypted;
+    }
+  }
+
+  /**
+   * Fetch a segment, key or initialization section of an HLS stream, retrying it on its own
+   * @private
+   * @param {string} url - Resource URL
+   * @param {{length: number, offset: number}|null} byteRange - Part of the resource to fetch
+   * @param {Object} options - Segment options
+   * @param {string} options.filePath - Final file path (for events)
+   * @param {Function} options.throttle - Wraps a response stream with the bandwidth limit
+   * @param {number|null} options.idleTimeout - Idle timeout of throttled requests
+   * @param {Function|null} options.onData - Called with every chunk received
+   * @param {Object} options.retryOptions - Retry options
+   * @param {Object} options.requestOptions - Request options of the download
+   * @param {Object} options.item - Fields shared by every event of the download
+   * @param {number} options.attempt - Attempt number of the download
+   * @param {number} [options.index] - Segment index (for `retry` events)
+   * @param {DownloadHandle} options.handle - Handle controlling the download
+   * @returns {Promise<Buffer>} Data of the resource
+   * @throws {DownloadError} If the resource cannot be fetched
+   */
+  async #fetchResource(url, byteRange, options) {
+    const { filePath, throttle, idleTimeout, onData, retryOptions, requestOptions, item, attempt, index = null, handle } = options;
+    let attempts = 0;
+
+    while (true) {
+      await handle.whenResumed();
+      if (handle.cancelled) throw new DownloadCancelledError(`Download cancelled for URL: ${url}`, url, handle.signal.reason);
+
+      attempts++;
+      let response = null;
+
+      try {
+        const headers = byteRange ? { Range: `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` } : {};
+        response = await this.#internals.fetchData(url, { headers, signal: handle.signal, requestOptions });
+        if (idleTimeout) response.request?.setTimeout?.(idleTimeout);
+
+        let timedOut = false;
+        response.request?.once?.("timeout", () => {
+          timedOut = true;
+        });
+
+        const chunks = [];
+        try {
+          for await (const chunk of throttle(response.data)) {
+            // Throttled data may still be buffered once the request is aborted
+            await handle.whenResumed();
+            if (handle.cancelled) break;
+
+            if (onData) onData(chunk);
+            chunks.push(chunk);
+          }
+        } catch (error) {
+          const timeout = idleTimeout || this.#downloader.timeout;
+          if (timedOut) throw new TimeoutError(`No data received for ${timeout}ms from URL: ${url}`, url, timeout, error);
+          throw new DownloadFailedError(`Download failed for URL: ${url}`, url, filePath, error);
+        }
+        if (handle.cancelled) throw new DownloadCancelledError(`Download cancelled for URL: ${url}`, url, handle.signal.reason);
+
+        // A server ignoring the range sends the whole resource
+        const data = Buffer.concat(chunks);
+        if (byteRange && response.status !== 206) return data.subarray(byteRange.offset, byteRange.offset + byteRange.length);
+        return data;
+      } catch (error) {
+        if (response) response.data.destroy();
+        if (handle.cancelled) throw new DownloadCancelledError(`Download cancelled for URL: ${url}`, url, handle.signal.reason);
+        if (attempts > retryOptions.retries || !isRetryableError(error)) throw error;
+
+        const delay = getRetryDelay(attempts, retryOptions, error);
+        this.#internals.emitEvent("retry", { ...item, filePath, attempt, segment: index, error, delay });
+        await sleep(delay, handle.signal);
+      }
+    }
+  }
+}
+
+module.exports = { HlsTransfer };
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview In-memory storage backend
+ * @module lib/memory-storage
+ */
+
+const { Writable, Readable } = require("stream");
+const { StorageBackend } = require("./storage-backend");
+const { FileSystemError } = require("../errors/download-errors");
+
+/**
+ * Stores downloaded files in memory, keyed by path
+ *
+ * Useful for tests, or to post-process downloads without touching the disk.
+ * Directories are implicit: every directory exists.
+ * @class MemoryStorage
+ * @extends StorageBackend
+ */
+class MemoryStorage extends StorageBackend {
+  /**
+   * Create a new MemoryStorage
+   */
+  constructor() {
+    super();
+
+    /**
+     * Stored files by path; `buffer` may be larger than the file, whose length is `size`
+     * @type {Map<string, {buffer: Buffer, size: number}>}
+     */
+    this.files = new Map();
+  }
+
+  /**
+   * Get the content of a file
+   * @param {string} filePath - Path to the file
+   * @returns {Buffer|null} File content, or null if the file does not exist
+   */
+  readFile(filePath) {
+    const file = this.files.get(filePath);
+    return file ? Buffer.from(file.buffer.subarray(0, file.size)) : null;
+  }
+
+  /**
+   * Checks whether a file exists
+   * @param {string} filePath - File path
+   * @returns {boolean} True if the file exists
+   */
+  fileExists(filePath) {
+    return this.files.has(filePath);
+  }
+
+  /**
+   * Ensures a directory exists (always true in memory)
+   * @param {string} dirPath - Directory path
+   * @returns {boolean} True
+   */
+  ensureDirectoryExists(dirPath) {
+    return true;
+  }
+
+  /**
+   * Creates a write stream for a file
+   * @param {string} filePath - Path to the file
+   * @param {Object} [options={}] - Write stream options
+   * @param {string} [options.flags='w'] - 'w' to truncate, 'a' to append, 'r+' to write in place
+   * @param {number} [options.start] - Byte position to start writing at (with 'r+')
+   * @returns {Writable} Write stream with a `bytesWritten` count
+   * @throws {FileSystemError} If the file does not exist in 'r+' mode
+   */
+  createFileWriteStream(filePath, options = {}) {
+    const { flags = "w", start = 0 } = options;
+
+    if (flags === "r+" && !this.files.has(filePath)) {
+      throw new FileSystemError(`Failed to create write stream for file: ${filePath}`, filePath, new Error("File does not exist"));
+    }
+    if (flags === "w" || !this.files.has(filePath)) this.files.set(filePath, { buffer: Buffer.alloc(0), size: 0 });
+
+    const file = this.files.get(filePath);
+    let position = flags === "a" ? file.size : start;
+
+    const stream = new Writable({
+      write: (chunk, encoding, callback) => {
+        this.#write(file, chunk, position);
+        position += chunk.length;
+        stream.bytesWritten += chunk.length;
+        callback();
+      },
+    });
+    stream.bytesWritten = 0;
+
+    return stream;
+  }
+
+  /**
+   * Creates a read stream for a file, or a byte range of it
+   * @param {string} filePath - Path to the file
+   * @param {Object} [options={}] - Read stream options
+   * @param {number} [options.start=0] - First byte to read
+   * @param {number} [options.end] - Last byte to read (inclusive)
+   * @returns {Readable} Read stream (failing if the file does not exist)
+   */
+  createFileReadStream(filePath, options = {}) {
+    const { start = 0, end = Infinity } = options;
+    const content = this.readFile(filePath);
+    if (!content) {
+      const stream = new Readable({ read() {} });
+      process.nextTick(() => stream.destroy(new FileSystemError(`File not found: ${filePath}`, filePath, null)));
+      return stream;
+    }
+
+    return Readable.from([content.subarray(start, end + 1)]);
+  }
+
+  /**
+   * Gets the size of a file
+   * @param {string} filePath - Path to the file
+   * @returns {number} File size in bytes, or 0 if the file does not exist
+   */
+  getFileSize(filePath) {
+    return this.files.get(filePath)?.size || 0;
+  }
+
+  /**
+   * Creates (or truncates) a file with a given size, filled with zeros
+   * @param {string} filePath - Path to the file
+   * @param {number} size - File size in bytes
+   * @returns {Promise<void>}
+   */
+  async allocateFile(filePath, size) {
+    this.files.set(filePath, { buffer: Buffer.alloc(size), size });
+  }
+
+  /**
+   * Renames (moves) a file, replacing the destination
+   * @param {string} fromPath - Current file path
+   * @param {string} toPath - New file path
+   * @returns {Promise<void>}
+   * @throws {FileSystemError} If the file does not exist
+   */
+  async renameFile(fromPath, toPath) {
+    const file = this.files.get(fromPath);
+    if (!file) throw new FileSystemError(`Failed to rename file: ${fromPath} -> ${toPath}`, fromPath, new Error("File does not exist"));
+
+    this.files.delete(fromPath);
+    this.files.set(toPath, file);
+  }
+
+  /**
+   * Removes a file if it exists
+   * @param {string} filePath - Path to the file
+   * @returns {boolean} True if the file was removed
+   */
+  removeFile(filePath) {
+    return this.files.delete(filePath);
+  }
+
+  /**
+   * Reads and parses a JSON file
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Object|null} Parsed content, or null if the file is missing or invalid
+   */
+  readJsonFile(filePath) {
+    try {
+      return JSON.parse(this.readFile(filePath).toString("utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes data to a JSON file
+   * @param {string} filePath - Path to the JSON file
+   * @param {Object} data - Data to serialize
+   */
+  writeJsonFile(filePath, data) {
+    const buffer = Buffer.from(JSON.stringify(data, null, 2));
+    this.files.set(filePath, { buffer, size: buffer.length });
+  }
+
+  /**
+   * Write a chunk at a position, growing the file buffer when needed
+   * @private
+   * @param {{buffer: Buffer, size: number}} file - Stored file
+   * @param {Buffer} chunk - Data to write
+   * @param {number} position - Byte position
+   */
+  #write(file, chunk, position) {
+    const end = position + chunk.length;
+
+    // Grow geometrically, so appending stays linear
+    if (end > file.buffer.length) {
+      const buffer = Buffer.alloc(Math.max(end, file.buffer.length * 2));
+      file.buffer.copy(buffer, 0, 0, file.size);
+      file.buffer = buffer;
+    }
+
+    chunk.copy(file.buffer, position);
+    file.size = Math.max(file.size, end);
+  }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Storage backend interface used by downloads to write their data
+ * @module lib/storage-backend
+ */
+
+const path = require("path");
+const { randomBytes } = require("crypto");
+
+/**
+ * Base class of storage backends
+ *
+ * Downloads only touch storage through this interface, so data can be kept on disk (`FileManager`),
+ * in memory (`MemoryStorage`) or anywhere else. Path handling and in-process reservations are
+ * provided here; backends implement the I/O methods, which throw until overridden.
+ * @class StorageBackend
+ */
+class StorageBackend {
+  /**
+   * Create a new StorageBackend
+   */
+  constructor() {
+    this.reservedPaths = new Set();
+  }
+
+  /**
+   * Reserves a file path so concurrent downloads do not pick the same name
+   * @param {string} filePath - Path to reserve
+   */
+  reservePath(filePath) {
+    this.reservedPaths.add(filePath);
+  }
+
+  /**
+   * Releases a path previously reserved with `reservePath`
+   * @param {string} filePath - Path to release
+   */
+  releasePath(filePath) {
+    this.reservedPaths.delete(filePath);
+  }
+
+  /**
+   * Checks whether a path is reserved by an ongoing download
+   * @param {string} filePath - File path
+   * @returns {boolean} True if the path is reserved
+   */
+  isPathReserved(filePath) {
+    return this.reservedPaths.has(filePath);
+  }
+
+  /**
+   * Checks whether a path is already used by a file or reserved by an active download
+   * @param {string} filePath - Path to check
+   * @returns {boolean} True if the path is taken
+   */
+  isPathTaken(filePath) {
+    return this.fileExists(filePath) || this.isPathReserved(filePath);
+  }
+
+  /**
+   * Normalizes a directory path to ensure it ends with a separator
+   * @param {string} dirPath - Directory path to normalize
+   * @returns {string} Normalized directory path
+   */
+  normalizeDirPath(dirPath) {
+    if (dirPath.trim() === "") return "";
+    return dirPath.trim().endsWith(path.sep) ? dirPath.trim() : `${dirPath.trim()}${path.sep}`;
+  }
+
+  /**
+   * Generates a unique filename if the original already exists
+   * @param {string} dirPath - Directory path
+   * @param {string} fileName - Original filename
+   * @param {Object} options - Options for filename generation
+   * @param {string} [options.strategy='timestamp'] - Strategy for generating unique names ('timestamp', 'counter', 'random')
+   * @returns {string} Unique filename
+   */
+  generateUniqueFilename(dirPath, fileName, options = {}) {
+    const { strategy = "timestamp" } = options;
+    const normalizedPath = this.normalizeDirPath(dirPath);
+    const fullPath = `${normalizedPath}${fileName}`;
+
+    // If file doesn't exist, return original name
+    if (!this.isPathTaken(fullPath)) return fileName;
+
+    // Parse filename and extension
+    const lastDotIndex = fileName.lastIndexOf(".");
+    const baseName = lastDotIndex !== -1 ? fileName.substring(0, lastDotIndex) : fileName;
+    const extension = lastDotIndex !== -1 ? fileName.substring(lastDotIndex) : "";
+
+    // Generate unique name based on strategy
+    let uniqueName;
+    switch (strategy) {
+      case "timestamp":
+        uniqueName = `${baseName}-${Date.now()}${extension}`;
+        break;
+      case "counter":
+        let counter = 1;
+        do {
+          uniqueName = `${baseName}-(${counter})${extension}`;
+          counter++;
+        } while (this.isPathTaken(`${normalizedPath}${uniqueName}`));
+        break;
+      case "random":
+        const randomStr = Math.random().toString(36).substring(2, 8);
+        uniqueName = `${baseName}-${randomStr}${extension}`;
+        break;
+      default:
+        uniqueName = `${baseName}-${Date.now()}${extension}`;
+    }
+
+    return uniqueName;
+  }
+
+  /**
+   * Builds a unique temporary path next to a file, used to write data before the final rename
+   * @param {string} filePath - Final file path
+   * @returns {string} Hidden temp file path in the same directory (e.g. `dir/.name.ext.1a2b3c4d.tmp`)
+   */
+  createTempPath(filePath) {
+    const dirName = path.dirname(filePath);
+    const baseName = path.basename(filePath);
+    return path.join(dirName, `.${baseName}.${randomBytes(4).toString("hex")}.tmp`);
+  }
+
+  /**
+   * Gets the path of the metadata sidecar of a downloaded file (a hidden file next to it)
+   * @param {string} filePath - File path
+   * @returns {string} Sidecar path (`<dir>/.<name>.meta.json`)
+   */
+  getMetadataPath(filePath) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.meta.json`);
+  }
+
+  /**
+   * Checks whether data already written to a file can be written again from the start
+   *
+   * A failed attempt is only retried from zero when this is true.
+   * @param {string} filePath - File path
+   * @returns {boolean} True if the file can be rewritten
+   */
+  canRewrite(filePath) {
+    return true;
+  }
+
+  /**
+   * Gets the space available for new files in a directory
+   *
+   * Backends without a notion of free space keep this default, which skips the disk space check.
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<number|null>} Available bytes, or null if unknown
+   */
+  async getFreeSpace(dirPath) {
+    return null;
+  }
+
+  /**
+   * Checks whether a file exists
+   * @abstract
+   * @param {string} filePath - File path
+   * @returns {boolean} True if the file exists
+   */
+  fileExists(filePath) {
+    throw this.#notImplemented("fileExists");
+  }
+
+  /**
+   * Ensures a directory exists, creating it if necessary
+   * @abstract
+   * @param {string} dirPath - Directory path to ensure
+   * @returns {boolean} True if directory exists or was created successfully
+   */
+  ensureDirectoryExists(dirPath) {
+    throw this.#notImplemented("ensureDirectoryExists");
+  }
+
+  /**
+   * Creates a write stream for a file
+   * @abstract
+   * @param {string} filePath - Path to the file
+   * @param {Object} [options={}] - Write stream options
+   * @param {string} [options.flags='w'] - 'w' to truncate, 'a' to append, 'r+' to write in place
+   * @param {number} [options.start] - Byte position to start writing at (with 'r+')
+   * @returns {Writable} Write stream, emitting `close` once the data is stored
+   */
+  createFileWriteStream(filePath, options = {}) {
+    throw this.#notImplemented("createFileWriteStream");
+  }
+
+  /**
+   * Creates a read stream for a file, or a byte range of it
+   * @abstract
+   * @param {string} filePath - Path to the file
+   * @param {Object} [options={}] - Read stream options
+   * @param {number} [options.start] - First byte to read
+   * @param {number} [options.end] - Last byte to read (inclusive)
+   * @returns {Readable} Read stream
+   */
+  createFileReadStream(filePath, options = {}) {
+    throw this.#notImplemented("createFileReadStream");
+  }
+
+  /**
+   * Gets the size of a file
+   * @abstract
+   * @param {string} filePath - Path to the file
+   * @returns {number} File size in bytes, or 0 if the file does not exist
+   */
+  getFileSize(filePath) {
+    throw this.#notImplemented("getFileSize");
+  }
+
+  /**
+   * Creates (or truncates) a file with a given size, so it can be written at any offset
+   * @abstract
+   * @param {string} filePath - Path to the file
+   * @param {number} size - File size in bytes
+   * @returns {Promise<void>}
+   */
+  async allocateFile(filePath, size) {
+    throw this.#notImplemented("allocateFile");
+  }
+
+  /**
+   * Renames (moves) a file, replacing the destination
+   * @abstract
+   * @param {string} fromPath - Current file path
+   * @param {string} toPath - New file path
+   * @returns {Promise<void>}
+   */
+  async renameFile(fromPath, toPath) {
+    throw this.#notImplemented("renameFile");
+  }
+
+  /**
+   * Removes a file if it exists
+   * @abstract
+   * @param {string} filePath - Path to the file
+   * @returns {boolean} True if the file was removed
+   */
+  removeFile(filePath) {
+    throw this.#notImplemented("removeFile");
+  }
+
+  /**
+   * Reads and parses a JSON file
+   * @abstract
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Object|null} Parsed content, or null if the file is missing or invalid
+   */
+  readJsonFile(filePath) {
+    throw this.#notImplemented("readJsonFile");
+  }
+
+  /**
+   * Writes data to a JSON file
+   * @abstract
+   * @param {string} filePath - Path to the JSON file
+   * @param {Object} data - Data to serialize
+   */
+  writeJsonFile(filePath, data) {
+    throw this.#notImplemented("writeJsonFile");
+  }
+
+  /**
+   * Build the error thrown by methods a backend does not implement
+   * @private
+   * @param {string} method - Method name
+   * @returns {Error} Error to throw
+   */
+  #notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = { StorageBackend };
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Storage backend forwarding a download to a writable stream
+ * @module lib/stream-storage
+ */
+
+const { Writable, finished } = require("stream");
+const { StorageBackend } = require("./storage-backend");
+const { FileSystemError } = require("../errors/download-errors");
+
+/**
+ * Forwards the data of a single download to a writable stream
+ *
+ * The stream only receives data once, from the first byte to the last: there is no temp file to
+ * rewrite, so an attempt can only be retried while nothing has been written, and renaming the
+ * file to its final name ends the stream. Resumed and segmented transfers are not supported.
+ * @class StreamStorage
+ * @extends StorageBackend
+ */
+class StreamStorage extends StorageBackend {
+  /**
+   * Create a new StreamStorage
+   * @param {Writable} destination - Stream receiving the data
+   */
+  constructor(destination) {
+    super();
+
+    this.destination = destination;
+    this.bytesWritten = 0;
+  }
+
+  /**
+   * Checks whether the stream can receive the data again from the start
+   * @param {string} filePath - File path (unused)
+   * @returns {boolean} True while nothing has been written to the stream
+   */
+  canRewrite(filePath) {
+    return this.bytesWritten === 0;
+  }
+
+  /**
+   * Checks whether a file exists (never, the stream starts empty)
+   * @param {string} filePath - File path
+   * @returns {boolean} False
+   */
+  fileExists(filePath) {
+    return false;
+  }
+
+  /**
+   * Ensures a directory exists (nothing to create)
+   * @param {string} dirPath - Directory path
+   * @returns {boolean} True
+   */
+  ensureDirectoryExists(dirPath) {
+    return true;
+  }
+
+  /**
+   * Creates a write stream forwarding data to the destination, without ending it
+   * @param {string} filePath - Path to the file (unused)
+   * @param {Object} [options={}] - Write stream options
+   * @param {string} [options.flags='w'] - Only 'w' is supported
+   * @returns {Writable} Write stream with a `bytesWritten` count
+   * @throws {FileSystemError} If data was already written or the flags require random access
+   */
+  createFileWriteStream(filePath, options = {}) {
+    const { flags = "w" } = options;
+    const { destination } = this;
+
+    if (flags !== "w" || this.bytesWritten > 0) {
+      throw new FileSystemError("Data can only be written once to a stream, from the start", filePath, null);
+    }
+
+    const stream = new Writable({
+      write: (chunk, encoding, callback) => {
+        this.bytesWritten += chunk.length;
+        stream.bytesWritten += chunk.length;
+        if (destination.write(chunk)) return callback();
+        destination.once("drain", () => callback());
+      },
+    });
+    stream.bytesWritten = 0;
+
+    // A failing destination fails the transfer instead of leaving it waiting for `drain`
+    const onError = (error) => stream.destroy(error);
+    const onClose = () => stream.destroy(new Error("Destination stream closed"));
+    destination.on("error", onError);
+    destination.on("close", onClose);
+    stream.on("close", () => {
+      destination.off("error", onError);
+      destination.off("close", onClose);
+    });
+
+    return stream;
+  }
+
+  /**
+   * Ends the destination stream: the download is complete
+   * @param {string} fromPath - Temp file path (unused)
+   * @param {string} toPath - Final file path (unused)
+   * @returns {Promise<void>} Resolves once the destination has finished
+   * @throws {FileSystemError} If the destination fails while finishing
+   */
+  async renameFile(fromPath, toPath) {
+    await new Promise((resolve, reject) => {
+      finished(this.destination, { readable: false }, (error) => {
+        if (error) reject(new FileSystemError("Failed to finish the destination stream", toPath, error));
+        else resolve();
+      });
+      this.destination.end();
+    });
+  }
+
+  /**
+   * Removes a file (data already written to the stream cannot be taken back)
+   * @param {string} filePath - Path to the file
+   * @returns {boolean} False
+   */
+  removeFile(filePath) {
+    return false;
+  }
+
+  /**
+   * Gets the size of a file (nothing is kept to resume from)
+   * @param {string} filePath - Path to the file
+   * @returns {number} 0
+   */
+  getFileSize(filePath) {
+    return 0;
+  }
+
+  /**
+   * Reads a JSON file (nothing is stored besides the data)
+   * @param {string} filePath - Path to the JSON file
+   * @returns {null} Null
+   */
+  readJsonFile(filePath) {
+    return null;
+  }
+
+  /**
+   * Writes a JSON file (ignored, nothing is stored besides the data)
+   * @param {string} filePath - Path to the JSON file
+   * @param {Object} data - Data to serialize
+   */
+  writeJsonFile(filePath, data) {}
+}
+
+module.exports = { StreamStorage };
@@ -0,0 +1,838 @@
+/**
+ * @fileoverview Single attempts at fetching a URL into storage, and the steps shared by every kind of transfer
+ * @module lib/transfer
+ */
+
+const { pipeline } = require("stream");
+const zlib = require("zlib");
+const { createHash } = require("crypto");
+const { ProgressTracker } = require("../utils/progress-tracker");
+const { TokenBucket, ThrottleStream, getThrottledTimeout } = require("../utils/throttle");
+const { isRetryableError, getRetryDelay, sleep } = require("../utils/retry");
+const { hashStreamInto } = require("../utils/checksum");
+const { inferFileName } = require("../utils/file-name");
+const { getMediaType, isContentTypeAllowed } = require("../utils/limits");
+const { runHooks, collectTransforms } = require("../utils/plugins");
+const {
+  DownloadError,
+  TimeoutError,
+  DownloadFailedError,
+  ChecksumMismatchError,
+  DownloadCancelledError,
+  FileTooLargeError,
+  FileTooSmallError,
+  ContentTypeNotAllowedError,
+  InsufficientDiskSpaceError,
+} = require("../errors/download-errors");
+
+/**
+ * Errors of downloads breaking a limit, whose partial data is always discarded
+ * @type {Array<Function>}
+ */
+const LIMIT_ERRORS = [FileTooLargeError, FileTooSmallError, ContentTypeNotAllowedError, InsufficientDiskSpaceError];
+
+/**
+ * Response headers reported in download results
+ * @type {Array<string>}
+ */
+const RESULT_HEADERS = ["content-type", "content-length", "content-encoding", "content-disposition", "etag", "last-modified"];
+
+/**
+ * Smallest range fetched by a single connection of a segmented download, in bytes
+ * @type {number}
+ */
+const MIN_SEGMENT_SIZE = 1024 * 1024;
+
+/**
+ * Response details of a skipped file, which was not requested
+ * @type {Object}
+ */
+const SKIPPED_DETAILS = { finalUrl: null, status: null, headers: {}, contentType: null, bytesWritten: 0, averageSpeed: null };
+
+/**
+ * Give an error that is not a `DownloadError` the code of a failed download, so every result error has a `code`
+ * @param {Error} error - Error of a failed download
+ * @param {string} url - URL being downloaded
+ * @param {string|null} path - File path of the download, when known
+ * @returns {DownloadError} The error itself, or a `DownloadFailedError` wrapping it
+ */
+function toDownloadError(error, url, path) {
+  return error instanceof DownloadError ? error : new DownloadFailedError(error.message, url, path, error);
+}
+/**
+ * Get the URL a response was served from, after redirects
+ * @param {Object} response - Axios response
+ * @param {string} url - Requested URL
+ * @returns {string} Final URL
+ */
+function getFinalUrl(response, url) {
+  return response.request?.res?.responseUrl || url;
+}
+
+/**
+ * Describe the response a file was served with, for the download result
+ * @param {Object} response - Response
+ * @param {string} url - Requested URL
+ * @returns {{finalUrl: string, status: number, headers: Object, contentType: string|null}} Final URL, status,
+ *   the `RESULT_HEADERS` sent by the server and the media type
+ */
+function describeResponse(response, url) {
+  const headers = {};
+  for (const name of RESULT_HEADERS) {
+    if (response.headers[name] !== undefined) headers[name] = response.headers[name];
+  }
+
+  return { finalUrl: getFinalUrl(response, url), status: response.status, headers, contentType: getMediaType(response.headers["content-type"]) };
+}
+
+/**
+ * Extract cache validators used to detect a changed remote resource
+ * @param {Object} response - Axios response
+ * @returns {Object} Validators (`etag`, `lastModified`)
+ */
+function getValidators(response) {
+  return {
+    etag: response.headers.etag || null,
+    lastModified: response.headers["last-modified"] || null,
+  };
+}
+
+/**
+ * Parse the first byte position of a `Content-Range` header
+ * @param {string} [contentRange] - Header value (e.g. `bytes 100-199/200`)
+ * @returns {number} Start position, or -1 if the header is missing or invalid
+ */
+function parseContentRangeStart(contentRange) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec((contentRange || "").trim());
+  return match ? parseInt(match[1], 10) : -1;
+}
+
+/**
+ * Build the headers of a conditional request from stored validators
+ * @param {Object} metadata - Metadata of the previous download
+ * @returns {Object} `If-None-Match` / `If-Modified-Since` headers
+ */
+function getConditionalHeaders(metadata) {
+  const headers = {};
+  if (metadata.etag) headers["If-None-Match"] = metadata.etag;
+  if (metadata.lastModified) headers["If-Modified-Since"] = metadata.lastModified;
+  return headers;
+}
+
+/**
+ * Check whether a response shows the remote file is unchanged since the previous download
+ *
+ * Besides `304`, a full response with the same ETag (or, without ETags, the same Last-Modified date)
+ * counts as unchanged, for servers that ignore conditional headers.
+ * @param {Object} response - Axios response
+ * @param {Object} metadata - Metadata of the previous download
+ * @returns {boolean} True if the file is unchanged
+ */
+function isUnchanged(response, metadata) {
+  if (response.status === 304) return true;
+
+  const { etag, lastModified } = getValidators(response);
+  if (metadata.etag && etag) return metadata.etag === etag;
+  return Boolean(metadata.lastModified && lastModified && metadata.lastModified === lastModified);
+}
+
+/**
+ * Split a download into byte ranges, if the response allows it
+ * @param {Object} response - Axios response of a plain request
+ * @param {number} connections - Maximum number of segments
+ * @returns {Array<{start: number, end: number}>|null} Inclusive byte ranges, or null to use a single stream
+ */
+function planSegments(response, connections) {
+  const { headers } = response;
+  const size = parseInt(headers["content-length"], 10);
+  const encoding = (headers["content-encoding"] || "identity").toLowerCase();
+
+  // Ranges of an encoded body do not match the decoded data
+  if (response.status !== 200 || (headers["accept-ranges"] || "").toLowerCase() !== "bytes" || encoding !== "identity") return null;
+  if (Number.isNaN(size)) return null;
+
+  const count = Math.min(Math.floor(connections), Math.floor(size / MIN_SEGMENT_SIZE));
+  if (count < 2) return null;
+
+  const segmentSize = Math.ceil(size / count);
+  return Array.from({ length: count }, (_, i) => ({ start: i * segmentSize, end: Math.min(size, (i + 1) * segmentSize) - 1 }));
+}
+
+/**
+ * Get the `If-Range` value making range requests fail over to a full response if the resource changes
+ * @param {Object} response - Axios response
+ * @returns {string|null} Strong ETag or Last-Modified date, or null if neither is available
+ */
+function getRangeValidator(response) {
+  const { etag } = response.headers;
+  if (etag && !etag.startsWith("W/")) return etag;
+  return response.headers["last-modified"] || null;
+}
+
+/**
+ * Create the bandwidth limit of a download: its own limit, and the limit shared by the instance
+ * @param {Download} downloader - Download instance, whose `bandwidth` is shared and whose `timeout` applies to requests
+ * @param {number|null} maxBytesPerSecond - Limit of the download
+ * @param {Object|undefined} batch - Batch state, whose concurrency splits the shared limit
+ * @param {number} streams - Number of streams of the download running at the same time
+ * @returns {{throttle: Function, throttled: boolean, idleTimeout: number}} Function wrapping a response stream
+ *   with the limit, whether any limit applies, and the idle timeout of throttled requests
+ */
+function createThrottle(downloader, maxBytesPerSecond, batch, streams) {
+  const buckets = [maxBytesPerSecond > 0 ? new TokenBucket(maxBytesPerSecond) : null, downloader.bandwidth].filter(Boolean);
+  const throttle = (stream) => (buckets.length > 0 ? pipeline(stream, new ThrottleStream(buckets), () => {}) : stream);
+  let idleTimeout = downloader.timeout;
+
+  if (buckets.length > 0) {
+    // The shared limit is split between the downloads (and segments) running at the same time
+    const sharedRate = downloader.bandwidth ? downloader.bandwidth.rate / ((batch?.concurrency || 1) * streams) : Infinity;
+    const itemRate = maxBytesPerSecond > 0 ? maxBytesPerSecond / streams : Infinity;
+    idleTimeout = getThrottledTimeout(downloader.timeout, Math.min(itemRate, sharedRate));
+  }
+
+  return { throttle, throttled: buckets.length > 0, idleTimeout };
+}
+
+/**
+ * Get the expected checksum of a transfer, looking it up in the batch checksum file by the resolved file name
+ *
+ * A download with no entry for its name is not verified, which is logged as a warning.
+ * @param {{algorithm: string, value: string|null}} checksum - Expected checksum of the download options
+ * @param {Object} target - Download target, whose `fileName` is set
+ * @param {Object} item - Fields shared by every event of the download
+ * @param {Object} context - Batch context (see `Download#download`)
+ * @param {Object} logger - Logger used when the context has none
+ * @returns {{algorithm: string, value: string|null}} Expected checksum
+ */
+function resolveChecksum(checksum, target, item, context, logger) {
+  const { checksums } = context;
+  if (!checksums || checksum.value) return checksum;
+
+  const entry = checksums.get(target.fileName);
+  if (entry) return entry;
+
+  (context.logger || logger).warn(`No entry for '${target.fileName}' in the checksum file, the download is not verified.`, {
+    event: "checksumMissing",
+    ...item,
+    filePath: target.filePath,
+  });
+  return checksum;
+}
+
+/**
+ * Delete or quarantine a file that failed checksum verification
+ * @param {string} url - URL the file was downloaded from
+ * @param {Object} options - Corrupted file
+ * @param {StorageBackend} options.storage - Storage backend holding the temp file
+ * @param {string} options.tempPath - Temp file
+ * @param {string} options.filePath - Final file path
+ * @param {Object} options.checksum - Expected checksum (`{ algorithm, value }`)
+ * @param {string} options.checksumMismatch - 'delete' or 'quarantine'
+ * @param {string} options.digest - Computed digest
+ * @returns {Promise<Object>} Failed result with a `ChecksumMismatchError`
+ */
+async function rejectCorrupted(url, options) {
+  const { storage, tempPath, filePath, checksum, checksumMismatch, digest } = options;
+
+  // Corrupted data is not retried, but another mirror may serve the right file
+  const rewritable = storage.canRewrite(tempPath);
+  const quarantinePath = `${filePath}.corrupt`;
+  let keptPath = null;
+
+  if (checksumMismatch === "quarantine") {
+    try {
+      await storage.renameFile(tempPath, quarantinePath);
+      keptPath = quarantinePath;
+    } catch (error) {
+      storage.removeFile(tempPath);
+    }
+  } else {
+    storage.removeFile(tempPath);
+  }
+
+  const message = `Checksum mismatch for URL: ${url} (expected ${checksum.algorithm} ${checksum.value}, got ${digest})${keptPath ? `. File quarantined at: '${keptPath}'` : ""}`;
+  return { success: false, error: new ChecksumMismatchError(message, url, keptPath || filePath, checksum.algorithm, checksum.value, digest), rewritable };
+}
+
+/**
+ * Check a response against the size, content type and disk space limits of a download
+ *
+ * `Content-Length` is only compared to the size limits when the body is not encoded;
+ * `maxSize` is also enforced while the data streams.
+ * @param {string} url - URL being downloaded
+ * @param {Object} response - Response (see `Download#fetchData`)
+ * @param {Object} options - Check options
+ * @param {Object} options.limits - Normalized limits
+ * @param {StorageBackend} options.storage - Storage backend the file is written to
+ * @param {string} options.dirPath - Directory of the file
+ * @param {number} options.offset - Bytes already written by a previous run
+ * @returns {Promise<void>}
+ * @throws {ContentTypeNotAllowedError|FileTooLargeError|FileTooSmallError|InsufficientDiskSpaceError} If a limit is broken
+ */
+async function checkLimits(url, response, options) {
+  const { limits, storage, dirPath, offset } = options;
+  const { maxSize, minSize, allowedContentTypes, checkDiskSpace, minFreeSpace } = limits;
+  const { headers } = response;
+
+  if (allowedContentTypes && !isContentTypeAllowed(headers["content-type"], allowedContentTypes)) {
+    const mediaType = getMediaType(headers["content-type"]);
+    throw new ContentTypeNotAllowedError(`Content type '${mediaType}' is not allowed for URL: ${url} (allowed: ${allowedContentTypes.join(", ")})`, url, mediaType, allowedContentTypes);
+  }
+
+  const length = parseInt(headers["content-length"], 10);
+  const encoded = (headers["content-encoding"] || "identity").toLowerCase() !== "identity";
+  const size = Number.isNaN(length) || encoded ? null : length + offset;
+
+  if (size !== null && maxSize !== null && size > maxSize) {
+    throw new FileTooLargeError(`File size of ${size} bytes exceeds the maximum size of ${maxSize} bytes for URL: ${url}`, url, size, maxSize);
+  }
+  if (size !== null && minSize !== null && size < minSize) {
+    throw new FileTooSmallError(`File size of ${size} bytes is below the minimum size of ${minSize} bytes for URL: ${url}`, url, size, minSize);
+  }
+
+  // The remaining bytes (a lower bound when the body is encoded) must fit, keeping the requested margin
+  if (checkDiskSpace && (!Number.isNaN(length) || minFreeSpace > 0)) {
+    const available = await storage.getFreeSpace(dirPath);
+    const required = (Number.isNaN(length) ? 0 : length) + minFreeSpace;
+
+    if (available !== null && required > available) {
+      throw new InsufficientDiskSpaceError(`Not enough disk space for URL: ${url} (${required} bytes required, ${available} available in '${dirPath || "."}')`, dirPath, required, available);
+    }
+  }
+}
+
+/**
+ * Create the stream decoding a `Content-Encoding`
+ * @param {string} [contentEncoding] - `Content-Encoding` header of the response
+ * @returns {Transform|null} Decoding stream, or null if the body is not encoded (or uses an unsupported coding)
+ */
+function createDecoder(contentEncoding) {
+  const encoding = (contentEncoding || "identity").trim().toLowerCase();
+
+  if (encoding === "gzip" || encoding === "x-gzip" || encoding === "deflate") return zlib.createUnzip();
+  if (encoding === "br") return zlib.createBrotliDecompress();
+  return null;
+}
+
+/**
+ * Pipe a response stream into a file write stream
+ * @param {Readable} dataStream - Response data stream
+ * @param {WriteStream} writeStream - File write stream
+ * @param {Object} options - Pipe options
+ * @param {string} options.url - URL being downloaded (for errors)
+ * @param {string} options.filePath - Final file path (for errors)
+ * @param {string} options.tempPath - Path being written
+ * @param {boolean} options.keepPartial - Flush the data received so far on failure instead of discarding it
+ * @param {DownloadHandle} options.handle - Handle controlling the download; pausing it stops the data flow
+ * @param {ClientRequest} [options.request] - Underlying request, whose idle timeout is suspended while paused
+ * @param {number} options.idleTimeout - Idle timeout restored when the download is resumed
+ * @returns {Promise<void>} Resolves once all data is written and the file is closed
+ * @throws {DownloadFailedError|TimeoutError|DownloadCancelledError} If either stream fails, the response stops sending data,
+ *   or the download is cancelled (only after the file is closed)
+ */
+function pipeToFile(dataStream, writeStream, options) {
+  const { url, filePath, tempPath, keepPartial, handle, request, idleTimeout } = options;
+
+  return new Promise((resolve, reject) => {
+    let failure = null;
+    let timedOut = false;
+
+    const fail = (error) => {
+      if (failure) return;
+      failure = error;
+      dataStream.unpipe(writeStream);
+      dataStream.destroy();
+      if (!writeStream.destroyed) {
+        if (keepPartial) writeStream.end();
+        else writeStream.destroy();
+      }
+    };
+
+    // Pausing unpipes the response so the write stream cannot restart it when it drains,
+    // and suspends the idle timeout so a long pause does not abort the request
+    const pause = () => {
+      if (failure || dataStream.readableEnded) return;
+      dataStream.unpipe(writeStream);
+      dataStream.pause();
+      request?.setTimeout?.(0);
+    };
+    const resume = () => {
+      if (failure || dataStream.readableEnded) return;
+      request?.setTimeout?.(idleTimeout);
+      dataStream.pipe(writeStream);
+    };
+    const cancel = () => fail(new DownloadCancelledError(`Download cancelled for URL: ${url}`, url, handle.signal.reason));
+
+    // An idle request is aborted, which the response reports like a dropped connection
+    const onTimeout = () => {
+      timedOut = true;
+    };
+
+    // The write stream always closes last, whether the download succeeded or not
+    writeStream.on("close", () => {
+      request?.off?.("timeout", onTimeout);
+      handle.off("pause", pause);
+      handle.off("resume", resume);
+      handle.signal.removeEventListener("abort", cancel);
+      failure ? reject(failure) : resolve();
+    });
+
+    // Handle download errors
+    // (errors raised by the download itself, like a size limit, are kept as they are)
+    dataStream.on("error", (err) => {
+      if (err instanceof DownloadError) fail(err);
+      else if (timedOut) fail(new TimeoutError(`No data received for ${idleTimeout}ms from URL: ${url}`, url, idleTimeout, err));
+      else fail(new DownloadFailedError(`Download failed for URL: ${url}`, url, filePath, err));
+    });
+
+    // Handle write stream errors
+    writeStream.on("error", (err) => fail(new DownloadFailedError(`Failed to write file: ${tempPath}`, url, filePath, err)));
+
+    request?.on?.("timeout", onTimeout);
+    handle.on("pause", pause);
+    handle.on("resume", resume);
+    handle.signal.addEventListener("abort", cancel, { once: true });
+
+    if (handle.signal.aborted) cancel();
+    else if (handle.paused) pause();
+    else dataStream.pipe(writeStream);
+  });
+}
+/**
+ * Fetches a URL over a single stream or parallel range requests, resuming from a `.part` file when asked
+ *
+ * Used by `Download` for every download that is not an HLS stream. The download instance gives the
+ * timeouts and limits, and `internals` the private parts of it a transfer needs (see `Download`).
+ * @class HttpTransfer
+ */
+class HttpTransfer {
+  /**
+   * Download instance the transfers belong to
+   * @private
+   * @type {Download}
+   */
+  #downloader;
+
+  /**
+   * Private parts of the download instance: `fetchData`, `emitEvent`, `reportProgress`, `resolveFilePath` and `plugins`
+   * @private
+   * @type {Object}
+   */
+  #internals;
+
+  /**
+   * Create the transfers of a download instance
+   * @param {Download} downloader - Download instance
+   * @param {Object} internals - Private parts of the download instance
+   */
+  constructor(downloader, internals) {
+    this.#downloader = downloader;
+    this.#internals = internals;
+  }
+
+  /**
+   * Make a single attempt at fetching a URL and writing it to storage
+   * @param {string} url - URL to download from
+   * @param {Object} target - Download target; `filePath` is set from the response when it is still null
+   * @param {StorageBackend} target.storage - Storage backend the file is written to
+   * @param {string} target.dirPath - Normalized directory path
+   * @param {string|null} target.fileName - Desired file name, before a unique name is generated
+   * @param {string|null} target.filePath - Final file path
+   * @param {string|null} target.partPath - `.part` file of a resumable download, set with the file path
+   * @param {string} target.fileNamingStrategy - Strategy for naming duplicate files
+   * @param {string} target.ifExists - Policy for an existing file
+   * @param {string|null} target.action - Action taken, set with the file path
+   * @param {Object|null} target.metadata - Metadata of the previous download (`update` policy)
+   * @param {Object} options - Transfer options
+   * @param {boolean} options.resume - Resume from an existing `.part` file
+   * @param {{algorithm: string, value: string|null}} options.checksum - Hash algorithm and expected digest
+   * @param {string} options.checksumMismatch - What to do with a corrupted file ('delete' or 'quarantine')
+   * @param {number|null} options.maxBytesPerSecond - Bandwidth limit of this download
+   * @param {number} options.connections - Number of parallel range requests (1 for a single stream)
+   * @param {boolean} options.decompress - Decode a `Content-Encoding` of the response
+   * @param {Object} options.limits - Size, content type and disk space limits (see `normalizeLimits`)
+   * @param {Object} options.retryOptions - Retry options, used for the segments of a segmented transfer
+   * @param {Object} options.requestOptions - Request options of the download (headers, auth, proxy...)
+   * @param {number} options.attempt - Attempt number (1-based)
+   * @param {DownloadHandle} options.handle - Handle controlling the download
+   * @param {Object} item - Fields shared by every event of the download
+   * @param {Object} context - Batch context (see `Download#download`)
+   * @returns {Promise<Object>} `{ success: true, filePath, checksum, action }` with the response details (see `describeResponse`),
+   *   `bytesWritten` and `averageSpeed`, or `{ success: false, error, retryable, rewritable }` (`retryable` is false
+   *   when segments already used up their retries, or the written data cannot be rewritten, which `rewritable` tells on its own)
+   */
+  async run(url, target, options, item, context) {
+    const { resume, checksumMismatch, maxBytesPerSecond, connections, decompress, limits, retryOptions, requestOptions, attempt, handle } = options;
+    const { storage } = target;
+    const { signal } = handle;
+
+    // Compressed bodies cannot be resumed or split into byte ranges, so those downloads ask for the raw data
+    const acceptEncoding = decompress && !resume && connections <= 1 ? "gzip, deflate, br" : "identity";
+    const fetchOptions = { signal, requestOptions, acceptEncoding };
+
+    let dataStream = null;
+    let tempPath = null;
+    let metaPath = null;
+    let response = null;
+    let offset = 0;
+    let segments = null;
+    let decoder = null;
+    let transforms = [];
+
+    try {
+      // Without a file name, the first response tells us what to call the file
+      if (!target.filePath) {
+        response = await this.#internals.fetchData(url, fetchOptions);
+        const inferredName = inferFileName({
+          contentDisposition: response.headers["content-disposition"],
+          fileName: response.fileName,
+          url: getFinalUrl(response, url),
+          contentType: response.headers["content-type"],
+        });
+        target.filePath = await this.#internals.resolveFilePath(target, inferredName, url, item);
+      }
+
+      if (target.action === "skipped") {
+        if (response) response.data.destroy();
+        return { success: true, filePath: target.filePath, action: "skipped", ...SKIPPED_DETAILS };
+      }
+
+      // With the `update` policy, a previously downloaded file is requested conditionally and left alone if unchanged
+      if (target.metadata) {
+        if (!response) response = await this.#internals.fetchData(url, { ...fetchOptions, headers: getConditionalHeaders(target.metadata), allowNotModified: true });
+
+        if (isUnchanged(response, target.metadata)) {
+          response.data.destroy();
+          const details = { ...describeResponse(response, url), bytesWritten: 0, averageSpeed: null };
+          return { success: true, filePath: target.filePath, checksum: target.metadata.checksum || null, action: "unchanged", ...details };
+        }
+      }
+
+      const checksum = resolveChecksum(options.checksum, target, item, context, this.#downloader.logger);
+
+      // Resumable downloads are written to a `.part` sidecar, others to a unique temp file.
+      // Either way the final name only appears once the data is complete and verified.
+      const { filePath, partPath } = target;
+      metaPath = `${partPath}.json`;
+      tempPath = resume ? partPath : storage.createTempPath(filePath);
+
+      // Fetch data from URL
+      if (resume) {
+        ({ response, offset } = await this.#fetchResumable(url, storage, partPath, metaPath, response, fetchOptions));
+      } else if (!response) {
+        response = await this.#internals.fetchData(url, fetchOptions);
+      }
+      const { batch } = context;
+
+      // Refuse a response breaking the limits, or rejected by a plugin, before writing anything
+      const responseDetails = { url, ...describeResponse(response, url), headers: response.headers };
+      await runHooks(this.#internals.plugins, "afterResponse", responseDetails, item);
+      await checkLimits(url, response, { limits, storage, dirPath: target.dirPath, offset });
+      transforms = await collectTransforms(this.#internals.plugins, { ...responseDetails, filePath }, item);
+
+      // Large files are fetched over several connections when the server accepts range requests
+      // (resumed downloads keep a single stream, since their `.part` file must stay contiguous,
+      // and transformed data must go through the plugin streams in order)
+      if (!resume && connections > 1 && transforms.length === 0) segments = planSegments(response, connections);
+
+      // Throttle before hashing, tracking and writing, so progress reports the limited rate
+      const { throttle, throttled, idleTimeout } = createThrottle(this.#downloader, maxBytesPerSecond, batch, segments ? segments.length : 1);
+
+      // Hash the data while it streams, starting with the bytes already on disk when resuming
+      const hash = createHash(checksum.algorithm);
+      if (offset > 0) await hashStreamInto(storage.createFileReadStream(partPath), hash);
+
+      // Track progress against the full size, including bytes resumed from a previous run
+      const contentLength = parseInt(response.headers["content-length"], 10);
+      const totalBytes = Number.isNaN(contentLength) ? null : contentLength + offset;
+      const tracker = new ProgressTracker({ totalBytes, offset });
+      let fileSize = segments ? totalBytes : offset;
+      let lastProgressTime = 0;
+
+      const emitProgress = (snapshot) => {
+        lastProgressTime = Date.now();
+        this.#internals.reportProgress({ ...item, filePath, attempt, ...snapshot }, context);
+      };
+
+      // Progress is combined across all segments
+      const onData = (chunk) => {
+        const snapshot = tracker.update(chunk.length);
+        if (Date.now() - lastProgressTime >= this.#downloader.progressInterval) emitProgress(snapshot);
+      };
+
+      this.#internals.emitEvent("start", { ...item, filePath, attempt, bytesReceived: offset, totalBytes, connections: segments ? segments.length : 1 });
+
+      if (segments) {
+        // The first response only told us the size: each segment opens its own range request
+        response.data.destroy();
+
+        await storage.allocateFile(tempPath, totalBytes);
+        await this.#writeSegments(url, segments, {
+          storage,
+          filePath,
+          tempPath,
+          validator: getRangeValidator(response),
+          throttle,
+          idleTimeout: throttled ? idleTimeout : null,
+          onData,
+          retryOptions,
+          requestOptions,
+          item,
+          attempt,
+          handle,
+        });
+
+        // Segments arrive out of order, so the file is hashed once complete
+        await hashStreamInto(storage.createFileReadStream(tempPath), hash);
+      } else {
+        dataStream = throttle(response.data);
+        if (throttled) response.request?.setTimeout?.(idleTimeout);
+
+        // Progress counts the bytes received, while the hash, the size limit and the file get the decoded data
+        dataStream.on("data", onData);
+        decoder = decompress ? createDecoder(response.headers["content-encoding"]) : null;
+        if (decoder) dataStream = pipeline(dataStream, decoder, () => {});
+        if (transforms.length > 0) dataStream = pipeline(dataStream, ...transforms, () => {});
+
+        const decodedStream = dataStream;
+        decodedStream.on("data", (chunk) => {
+          hash.update(chunk);
+          fileSize += chunk.length;
+          if (limits.maxSize !== null && fileSize > limits.maxSize) {
+            decodedStream.destroy(new FileTooLargeError(`File exceeds the maximum size of ${limits.maxSize} bytes for URL: ${url}`, url, fileSize, limits.maxSize));
+          }
+        });
+
+        // Write the data and wait until the file is flushed and closed
+        // (decoded or transformed data cannot be resumed, since the offset of the next range would not match)
+        const writeStream = storage.createFileWriteStream(tempPath, { flags: offset > 0 ? "a" : "w" });
+        const keepPartial = resume && !decoder && transforms.length === 0;
+        await pipeToFile(dataStream, writeStream, { url, filePath, tempPath, keepPartial, handle, request: response.request, idleTimeout });
+      }
+
+      // Always report the final state, whatever the interval
+      const summary = tracker.snapshot();
+      emitProgress(summary);
+
+      if (limits.minSize !== null && fileSize < limits.minSize) {
+        throw new FileTooSmallError(`File is smaller than the minimum size of ${limits.minSize} bytes for URL: ${url} (got ${fileSize})`, url, fileSize, limits.minSize);
+      }
+
+      const digest = hash.digest("hex");
+      if (checksum.value && digest !== checksum.value) {
+        if (resume) storage.removeFile(metaPath);
+        return rejectCorrupted(url, { storage, tempPath, filePath, checksum, checksumMismatch, digest });
+      }
+
+      await storage.renameFile(tempPath, filePath);
+      if (resume) storage.removeFile(metaPath);
+
+      // Remember the validators, so the next `update` run can check for changes
+      if (target.ifExists === "update") {
+        storage.writeJsonFile(storage.getMetadataPath(filePath), {
+          url,
+          ...getValidators(response),
+          size: storage.getFileSize(filePath),
+          checksum: { algorithm: checksum.algorithm, value: digest },
+          downloadedAt: new Date().toISOString(),
+        });
+      }
+
+      return {
+        success: true,
+        filePath,
+        checksum: { algorithm: checksum.algorithm, value: digest },
+        action: target.action,
+        ...describeResponse(response, url),
+        bytesWritten: fileSize,
+        averageSpeed: Math.round(summary.averageSpeed),
+      };
+    } catch (error) {
+      // Clean up resources in case of error, keeping `.part` files so they can be resumed
+      // (unless the download was cancelled, broke a limit, or was decoded or transformed)
+      const discard = !resume || decoder || transforms.length > 0 || signal.aborted || LIMIT_ERRORS.some((ErrorClass) => error instanceof ErrorClass);
+      if (response) response.data.destroy();
+      for (const transform of transforms) transform.destroy();
+      if (tempPath && discard) storage.removeFile(tempPath);
+      if (metaPath && resume && discard) storage.removeFile(metaPath);
+
+      const rewritable = storage.canRewrite(tempPath);
+      return { success: false, error, retryable: !segments && rewritable, rewritable };
+    }
+  }
+
+  /**
+   * Fetch data for a resumable download, continuing from an existing `.part` file when possible
+   *
+   * A `Range` request is only trusted when the server answers `206` with a `Content-Range`
+   * starting at the current part size and the ETag has not changed. Otherwise the download
+   * restarts from zero.
+   * @private
+   * @param {string} url - URL to fetch data from
+   * @param {StorageBackend} storage - Storage backend holding the partial file
+   * @param {string} partPath - Path of the partial file
+   * @param {string} metaPath - Path of the partial file metadata (ETag, Last-Modified)
+   * @param {Object} [fullResponse=null] - Already open full response, used when there is nothing to resume
+   * @param {Object} [fetchOptions={}] - Fetch options (`signal`, `requestOptions`, see `Download#fetchData`)
+   * @returns {Promise<{response: Object, offset: number}>} Response and the byte offset it starts at
+   * @throws {FetchError} If fetch operation fails
+   */
+  async #fetchResumable(url, storage, partPath, metaPath, fullResponse = null, fetchOptions = {}) {
+    const offset = storage.getFileSize(partPath);
+
+    if (offset > 0) {
+      if (fullResponse) fullResponse.data.destroy();
+
+      const meta = storage.readJsonFile(metaPath) || {};
+      const headers = { Range: `bytes=${offset}-` };
+      if (meta.etag) headers["If-Range"] = meta.etag;
+
+      let response = null;
+      try {
+        response = await this.#internals.fetchData(url, { ...fetchOptions, headers });
+      } catch (error) {
+        // 416 means the part file no longer matches the remote resource
+        if (error.originalError?.response?.status !== 416) throw error;
+      }
+
+      if (response) {
+        const etagChanged = Boolean(meta.etag && response.headers.etag && response.headers.etag !== meta.etag);
+
+        if (response.status === 206 && !etagChanged && parseContentRangeStart(response.headers["content-range"]) === offset) {
+          return { response, offset };
+        }
+
+        // Server ignored the range and sent the whole resource: restart with this body
+        if (response.status === 200) {
+          storage.writeJsonFile(metaPath, getValidators(response));
+          return { response, offset: 0 };
+        }
+
+        response.data.destroy();
+      }
+    }
+
+    const response = offset === 0 && fullResponse ? fullResponse : await this.#internals.fetchData(url, fetchOptions);
+    storage.writeJsonFile(metaPath, getValidators(response));
+    return { response, offset: 0 };
+  }
+
+  /**
+   * Fetch every segment in parallel, each written at its offset of the temp file
+   *
+   * Failed segments are retried on their own, from the last byte written. When one segment
+   * fails for good, the others are stopped.
+   * @private
+   * @param {string} url - URL to download from
+   * @param {Array<{start: number, end: number}>} segments - Inclusive byte ranges
+   * @param {Object} options - Segment options
+   * @param {StorageBackend} options.storage - Storage backend holding the temp file
+   * @param {string} options.filePath - Final file path (for errors and events)
+   * @param {string} options.tempPath - Allocated temp file
+   * @param {string|null} options.validator - `If-Range` value
+   * @param {Function} options.throttle - Wraps a response stream with the bandwidth limit
+   * @param {number|null} options.idleTimeout - Idle timeout of throttled requests
+   * @param {Function} options.onData - Called with every chunk received
+   * @param {Object} options.retryOptions - Retry options
+   * @param {Object} options.requestOptions - Request options of the download
+   * @param {Object} options.item - Fields shared by every event of the download
+   * @param {number} options.attempt - Attempt number of the download
+   * @param {DownloadHandle} options.handle - Handle controlling the download
+   * @returns {Promise<void>} Resolves once every segment is written
+   * @throws {DownloadError} The first error of a segment that could not be completed
+   */
+  async #writeSegments(url, segments, options) {
+    const state = { failure: null, active: new Set() };
+
+    const results = await Promise.allSettled(segments.map((segment, index) => this.#writeSegment(url, segment, index, options, state)));
+
+    const rejected = results.find((result) => result.status === "rejected");
+    if (rejected) throw state.failure || rejected.reason;
+  }
+
+  /**
+   * Fetch one segment, retrying it from the last byte written
+   * @private
+   * @param {string} url - URL to download from
+   * @param {{start: number, end: number}} segment - Inclusive byte range
+   * @param {number} index - Segment index
+   * @param {Object} options - Segment options (see `#writeSegments`)
+   * @param {Object} state - State shared by the segments (first failure and active streams)
+   * @returns {Promise<void>} Resolves once the segment is written
+   * @throws {DownloadError} If the segment cannot be completed
+   */
+  async #writeSegment(url, segment, index, options, state) {
+    const { storage, filePath, tempPath, validator, throttle, idleTimeout, onData, retryOptions, requestOptions, item, attempt, handle } = options;
+    let position = segment.start;
+    let attempts = 0;
+
+    while (true) {
+      await handle.whenResumed();
+      if (handle.cancelled) throw new DownloadCancelledError(`Download cancelled for URL: ${url}`, url, handle.signal.reason);
+      if (state.failure) throw state.failure;
+
+      attempts++;
+      let response = null;
+      let dataStream = null;
+      let writeStream = null;
+
+      try {
+        const headers = { Range: `bytes=${position}-${segment.end}` };
+        if (validator) headers["If-Range"] = validator;
+        response = await this.#internals.fetchData(url, { headers, signal: handle.signal, requestOptions });
+
+        // A full response means the range was refused or the resource changed
+        if (response.status !== 206 || parseContentRangeStart(response.headers["content-range"]) !== position) {
+          throw new DownloadFailedError(`Server did not return the requested range (bytes ${position}-${segment.end}) for URL: ${url}`, url, filePath, null);
+        }
+
+        dataStream = throttle(response.data);
+        if (idleTimeout) response.request?.setTimeout?.(idleTimeout);
+        dataStream.on("data", onData);
+        state.active.add(dataStream);
+
+        writeStream = storage.createFileWriteStream(tempPath, { flags: "r+", start: position });
+        await pipeToFile(dataStream, writeStream, { url, filePath, tempPath, keepPartial: true, handle, request: response.request, idleTimeout: idleTimeout || this.#downloader.timeout });
+
+        state.active.delete(dataStream);
+        if (position + writeStream.bytesWritten > segment.end) return;
+
+        // The connection closed before the end of the range
+        const missingFrom = position + writeStream.bytesWritten;
+        throw new DownloadFailedError(`Segment ended early (bytes ${missingFrom}-${segment.end} missing) for URL: ${url}`, url, filePath, new Error("aborted"));
+      } catch (error) {
+        if (response) response.data.destroy();
+        if (dataStream) state.active.delete(dataStream);
+
+        // The next attempt continues from the last byte written (the write stream is closed at this point)
+        if (writeStream) position += writeStream.bytesWritten;
+        if (handle.cancelled || state.failure) throw error;
+
+        if (attempts > retryOptions.retries || !isRetryableError(error)) {
+          // Stop the other segments: the download cannot complete
+          state.failure = error;
+          const stopped = new DownloadFailedError(`Download stopped after a segment failed for URL: ${url}`, url, filePath, error);
+          for (const stream of state.active) stream.destroy(stopped);
+          throw error;
+        }
+
+        const delay = getRetryDelay(attempts, retryOptions, error);
+        this.#internals.emitEvent("retry", { ...item, filePath, attempt, segment: index, error, delay });
+        await sleep(delay, handle.signal);
+      }
+    }
+  }
+}
+
+module.exports = {
+  LIMIT_ERRORS,
+  SKIPPED_DETAILS,
+  HttpTransfer,
+  toDownloadError,
+  getFinalUrl,
+  describeResponse,
+  createThrottle,
+  resolveChecksum,
+  rejectCorrupted,
+  pipeToFile,
+};
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Logger adapter that defers output
+ * @module utils/buffered-logger
+ */
+
+/**
+ * Collects log records and writes them later to a target Logger
+ *
+ * Used while several progress bars are rendered at once, where direct output
+ * would be interleaved with (and overwritten by) the bars.
+ * @class BufferedLogger
+ */
+class BufferedLogger {
+  /**
+   * Create a new BufferedLogger instance
+   * @param {Logger} target - Logger that receives flushed records
+   */
+  constructor(target) {
+    this.target = target;
+    this.entries = [];
+  }
+
+  /**
+   * Buffer a debug record
+   * @param {string} message - Message text
+   * @param {Object} [fields] - Structured fields of the record
+   */
+  debug(message, fields) {
+    // Debug records (e.g. progress) are frequent: they are only kept when the target logs them
+    if (typeof this.target.isLevelEnabled === "function" && !this.target.isLevelEnabled("debug")) return;
+    this.entries.push(["debug", message, fields]);
+  }
+
+  /**
+   * Buffer an info record
+   * @param {string} message - Message text
+   * @param {Object} [fields] - Structured fields of the record
+   */
+  info(message, fields) {
+    this.entries.push(["info", message, fields]);
+  }
+
+  /**
+   * Buffer a success record
+   * @param {string} message - Message text
+   * @param {Object} [fields] - Structured fields of the record
+   */
+  success(message, fields) {
+    this.entries.push(["success", message, fields]);
+  }
+
+  /**
+   * Buffer a warning record
+   * @param {string} message - Message text
+   * @param {Object} [fields] - Structured fields of the record
+   */
+  warn(message, fields) {
+    this.entries.push(["warn", message, fields]);
+  }
+
+  /**
+   * Buffer an error record
+   * @param {string} message - Message text
+   * @param {Object} [fields] - Structured fields of the record
+   */
+  error(message, fields) {
+    this.entries.push(["error", message, fields]);
+  }
+
+  /**
+   * Write all buffered records to the target, in the order they were received
+   */
+  flush() {
+    for (const [method, message, fields] of this.entries) {
+      this.target[method](message, fields);
+    }
+    this.entries = [];
+  }
+}
+
+module.exports = { BufferedLogger };
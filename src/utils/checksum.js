@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Checksum helpers for download integrity verification
+ * @module utils/checksum
+ */
+
+const path = require("path");
+const { InvalidOptionError } = require("../errors/download-errors");
+
+/**
+ * Supported hash algorithms
+ * @type {Array<string>}
+ */
+const CHECKSUM_ALGORITHMS = ["sha256", "sha1", "md5"];
+
+/**
+ * Algorithm used for the digest reported on results when no checksum is requested
+ * @type {string}
+ */
+const DEFAULT_CHECKSUM_ALGORITHM = "sha256";
+
+/**
+ * Hex digest length of each supported algorithm, used to detect the algorithm of a checksum file
+ * @type {Object<number, string>}
+ */
+const DIGEST_LENGTHS = { 64: "sha256", 40: "sha1", 32: "md5" };
+
+/**
+ * Validate and normalize a checksum option
+ * @param {Object} [checksum] - Checksum option
+ * @param {string} [checksum.algorithm='sha256'] - Hash algorithm ('sha256', 'sha1', 'md5')
+ * @param {string} [checksum.value] - Expected hex digest
+ * @returns {{algorithm: string, value: string|null}} Normalized checksum
+ * @throws {Error} If the algorithm is not supported
+ */
+function normalizeChecksum(checksum) {
+  const { algorithm = DEFAULT_CHECKSUM_ALGORITHM, value = null } = checksum || {};
+  const normalizedAlgorithm = String(algorithm).toLowerCase().replace("-", "");
+
+  if (!CHECKSUM_ALGORITHMS.includes(normalizedAlgorithm)) {
+    throw new InvalidOptionError(`Unsupported checksum algorithm: ${algorithm}`, "checksum");
+  }
+
+  return {
+    algorithm: normalizedAlgorithm,
+    value: value ? String(value).trim().toLowerCase() : null,
+  };
+}
+
+/**
+ * Parse a checksum file in GNU (`<digest>  <name>`, `<digest> *<name>`) or BSD (`SHA256 (<name>) = <digest>`) format
+ * @param {string} content - Checksum file content
+ * @returns {Map<string, {algorithm: string, value: string}>} Checksums keyed by file name
+ */
+function parseChecksumFile(content) {
+  const checksums = new Map();
+
+  for (const rawLine of String(content).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) continue;
+
+    const bsd = /^(SHA256|SHA1|MD5)\s*\((.+)\)\s*=\s*([a-fA-F0-9]+)$/i.exec(line);
+    const gnu = /^([a-fA-F0-9]+)\s+\*?(.+)$/.exec(line);
+
+    let name, value, algorithm;
+    if (bsd) {
+      [, algorithm, name, value] = bsd;
+    } else if (gnu) {
+      [, value, name] = gnu;
+      algorithm = DIGEST_LENGTHS[value.length];
+    }
+
+    if (!name || !algorithm) continue;
+
+    const entry = normalizeChecksum({ algorithm, value });
+    checksums.set(name.trim(), entry);
+
+    // Entries are often listed with a relative path ("./dist/app.zip")
+    checksums.set(path.posix.basename(name.trim()), entry);
+  }
+
+  return checksums;
+}
+
+/**
+ * Feed the content of a stream into a hash (used to hash data already stored, e.g. when resuming a partial download)
+ * @param {Readable} stream - Read stream of the stored data
+ * @param {Hash} hash - Node.js hash object
+ * @returns {Promise<void>}
+ */
+function hashStreamInto(stream, hash) {
+  return new Promise((resolve, reject) => {
+    stream
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", resolve)
+      .on("error", reject);
+  });
+}
+
+module.exports = {
+  CHECKSUM_ALGORITHMS,
+  DEFAULT_CHECKSUM_ALGORITHM,
+  normalizeChecksum,
+  parseChecksumFile,
+  hashStreamInto,
+};
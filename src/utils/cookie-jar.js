@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Minimal cookie jar for sending cookies back to the servers that set them
+ * @module utils/cookie-jar
+ */
+
+/**
+ * Stored cookie
+ * @typedef {Object} Cookie
+ * @property {string} name - Cookie name
+ * @property {string} value - Cookie value
+ * @property {string} domain - Domain the cookie belongs to (lower case, without leading dot)
+ * @property {boolean} hostOnly - Only sent to `domain` itself, not its subdomains
+ * @property {string} path - Path prefix the cookie is sent for
+ * @property {boolean} secure - Only sent over HTTPS
+ * @property {number|null} expires - Expiry time in milliseconds since the epoch, or null for session cookies
+ */
+
+/**
+ * Stores cookies from `Set-Cookie` headers and builds `Cookie` headers for requests
+ *
+ * Follows the domain, path, `Secure` and expiry rules of RFC 6265 (without a public suffix list).
+ * @class CookieJar
+ */
+class CookieJar {
+  /**
+   * Create a new CookieJar
+   */
+  constructor() {
+    /**
+     * Cookies by `domain;path;name`
+     * @type {Map<string, Cookie>}
+     */
+    this.cookies = new Map();
+  }
+
+  /**
+   * Store a cookie from a `Set-Cookie` header value
+   * @param {string} setCookie - Header value (e.g. `id=abc; Path=/; HttpOnly`)
+   * @param {string} url - URL of the response that set the cookie
+   * @returns {boolean} True if the cookie was stored (or deleted, for an expired cookie)
+   */
+  setCookie(setCookie, url) {
+    const { hostname, pathname } = new URL(url);
+    const [pair, ...attributes] = String(setCookie).split(";");
+
+    const separator = pair.indexOf("=");
+    if (separator <= 0) return false;
+
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      domain: hostname.toLowerCase(),
+      hostOnly: true,
+      path: defaultPath(pathname),
+      secure: false,
+      expires: null,
+    };
+
+    for (const attribute of attributes) {
+      const [rawKey, ...rest] = attribute.split("=");
+      const key = rawKey.trim().toLowerCase();
+      const value = rest.join("=").trim();
+
+      if (key === "domain" && value) {
+        const domain = value.replace(/^\./, "").toLowerCase();
+
+        // A server may only set cookies for its own domain or a parent of it
+        if (!domainMatches(cookie.domain, domain)) return false;
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+      } else if (key === "path" && value.startsWith("/")) {
+        cookie.path = value;
+      } else if (key === "secure") {
+        cookie.secure = true;
+      } else if (key === "max-age" && /^-?\d+$/.test(value)) {
+        cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+      } else if (key === "expires" && cookie.expires === null) {
+        const date = Date.parse(value);
+        if (!Number.isNaN(date)) cookie.expires = date;
+      }
+    }
+
+    const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+    if (cookie.expires !== null && cookie.expires <= Date.now()) {
+      this.cookies.delete(key);
+    } else {
+      this.cookies.set(key, cookie);
+    }
+
+    return true;
+  }
+
+  /**
+   * Store every cookie of a response
+   * @param {string|Array<string>|undefined} setCookies - `Set-Cookie` header value(s)
+   * @param {string} url - URL of the response
+   */
+  setCookies(setCookies, url) {
+    if (!setCookies) return;
+    for (const setCookie of [].concat(setCookies)) this.setCookie(setCookie, url);
+  }
+
+  /**
+   * Get the cookies to send with a request
+   * @param {string} url - Request URL
+   * @returns {Array<Cookie>} Matching cookies, longest paths first
+   */
+  getCookies(url) {
+    const { protocol, hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase();
+    const now = Date.now();
+
+    const cookies = [];
+    for (const [key, cookie] of this.cookies) {
+      if (cookie.expires !== null && cookie.expires <= now) {
+        this.cookies.delete(key);
+        continue;
+      }
+
+      if (cookie.hostOnly ? host !== cookie.domain : !domainMatches(host, cookie.domain)) continue;
+      if (!pathMatches(pathname, cookie.path)) continue;
+      if (cookie.secure && protocol !== "https:") continue;
+
+      cookies.push(cookie);
+    }
+
+    return cookies.sort((a, b) => b.path.length - a.path.length);
+  }
+
+  /**
+   * Build the `Cookie` header of a request
+   * @param {string} url - Request URL
+   * @returns {string} Header value, empty if no cookie matches
+   */
+  getCookieHeader(url) {
+    return this.getCookies(url)
+      .map((cookie) => `${cookie.name}=${cookie.value}`)
+      .join("; ");
+  }
+}
+
+/**
+ * Check whether a host belongs to a cookie domain
+ * @param {string} host - Request host name
+ * @param {string} domain - Cookie domain
+ * @returns {boolean} True if the host is the domain or one of its subdomains
+ */
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Check whether a request path is covered by a cookie path
+ * @param {string} requestPath - Request path
+ * @param {string} cookiePath - Cookie path
+ * @returns {boolean} True if the cookie is sent for the path
+ */
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/";
+}
+
+/**
+ * Compute the default path of a cookie: the directory of the request path
+ * @param {string} requestPath - Request path
+ * @returns {string} Cookie path
+ */
+function defaultPath(requestPath) {
+  if (!requestPath.startsWith("/") || requestPath.lastIndexOf("/") === 0) return "/";
+  return requestPath.slice(0, requestPath.lastIndexOf("/"));
+}
+
+module.exports = { CookieJar };
@@ -0,0 +1,468 @@
+/**
+ * @fileoverview Archive extraction (tar, zip) and decompression (gzip, brotli) through a storage backend
+ * @module utils/extract
+ */
+
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { ExtractionError, InvalidOptionError } = require("../errors/download-errors");
+
+/**
+ * Supported archive formats
+ * @type {Array<string>}
+ */
+const ARCHIVE_FORMATS = ["zip", "tar", "tar.gz", "tar.br", "gzip", "brotli"];
+
+/**
+ * File name suffixes of each format, longest first
+ * @type {Array<Array<string>>}
+ */
+const FORMAT_SUFFIXES = [
+  [".tar.gz", "tar.gz"],
+  [".tgz", "tar.gz"],
+  [".tar.br", "tar.br"],
+  [".tar", "tar"],
+  [".zip", "zip"],
+  [".gz", "gzip"],
+  [".br", "brotli"],
+];
+
+/**
+ * Size of a tar block in bytes
+ * @type {number}
+ */
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Normalize the `extract` option of a download
+ * @param {boolean|string|Object} extract - `true` (detect the format), a format, or `{ format, to, deleteArchive }`
+ * @param {Object} [download={}] - Options of the download that apply to the extracted files
+ * @param {string} [download.ifExists='rename'] - Policy for an entry whose file already exists
+ * @param {string} [download.fileNamingStrategy='timestamp'] - Strategy for naming renamed entries
+ * @returns {{format: string, to: string|null, deleteArchive: boolean, ifExists: string, fileNamingStrategy: string}|null}
+ *   Extraction options, or null if disabled
+ * @throws {InvalidOptionError} If the format is unknown
+ */
+function normalizeExtractOptions(extract, download = {}) {
+  if (!extract) return null;
+
+  const options = typeof extract === "object" ? extract : { format: extract === true ? "auto" : extract };
+  const { format = "auto", to = null, deleteArchive = false } = options;
+
+  if (format !== "auto" && !ARCHIVE_FORMATS.includes(format)) {
+    throw new InvalidOptionError(`Unknown extract format: ${format} (expected auto, ${ARCHIVE_FORMATS.join(", ")})`, "extract");
+  }
+
+  const { ifExists = "rename", fileNamingStrategy = "timestamp" } = download;
+  return { format, to, deleteArchive, ifExists, fileNamingStrategy };
+}
+
+/**
+ * Detect the format of an archive from its name, then from its first bytes
+ * @param {string} fileName - Archive file name
+ * @param {Buffer} header - First bytes of the archive (at least 262 for tar detection)
+ * @returns {string|null} Archive format, or null if it is not recognized
+ */
+function detectArchiveFormat(fileName, header) {
+  const lowerName = fileName.toLowerCase();
+  const suffix = FORMAT_SUFFIXES.find(([extension]) => lowerName.endsWith(extension));
+  if (suffix) return suffix[1];
+
+  if (header.length >= 4 && header.readUInt32LE(0) === 0x04034b50) return "zip";
+  if (header.length >= 2 && header[0] === 0x1f && header[1] === 0x8b) return "gzip";
+  if (header.length >= 262 && header.toString("latin1", 257, 262) === "ustar") return "tar";
+  return null;
+}
+
+/**
+ * Extract (or decompress) an archive stored in a storage backend
+ *
+ * Entries are written under `to`; an entry whose path would escape it ("zip slip") fails the
+ * extraction. Links and special files are skipped. An entry whose file already exists follows the
+ * `ifExists` policy of the download: `skip` keeps the file, `error` fails the extraction, `rename` writes
+ * the entry under a unique name, and `overwrite` / `update` replace the file once every entry is extracted.
+ * On failure, the files created by the extraction are removed and existing files are left untouched.
+ * @param {StorageBackend} storage - Storage backend holding the archive
+ * @param {string} archivePath - Archive path
+ * @param {Object} options - Extraction options (see `normalizeExtractOptions`)
+ * @param {string} options.format - Archive format, or 'auto' to detect it
+ * @param {string|null} [options.to] - Target directory (the directory of the archive by default)
+ * @param {string} [options.ifExists='rename'] - Policy for an entry whose file already exists
+ * @param {string} [options.fileNamingStrategy='timestamp'] - Strategy for naming renamed entries
+ * @returns {Promise<{format: string, to: string, files: Array<string>}>} Format, target directory and paths of the extracted files
+ * @throws {ExtractionError} If the archive cannot be extracted
+ */
+async function extractArchive(storage, archivePath, options) {
+  const { ifExists = "rename", fileNamingStrategy = "timestamp" } = options;
+  const to = options.to ?? path.dirname(archivePath);
+  const files = [];
+  const created = [];
+  const replacements = [];
+
+  let format = options.format;
+  if (format === "auto") {
+    format = detectArchiveFormat(path.basename(archivePath), await readRange(storage, archivePath, 0, TAR_BLOCK_SIZE));
+    if (!format) throw new ExtractionError(`Unknown archive format: ${archivePath}`, archivePath);
+  }
+
+  // Every entry goes through this function, which checks its path and records it
+  const writeEntry = async (entryName, source) => {
+    let filePath = resolveEntryPath(to, entryName, archivePath);
+    const dirPath = path.dirname(filePath);
+    storage.ensureDirectoryExists(dirPath);
+
+    if (storage.fileExists(filePath)) {
+      if (ifExists === "skip") return discard(source);
+      if (ifExists === "error") throw new ExtractionError(`Archive entry already exists: ${filePath}`, archivePath);
+
+      if (ifExists === "rename") {
+        filePath = path.join(dirPath, storage.generateUniqueFilename(dirPath, path.basename(filePath), { strategy: fileNamingStrategy }));
+      } else {
+        // An existing file is replaced only once the whole archive is extracted, so a failure leaves it as it was
+        const tempPath = storage.createTempPath(filePath);
+        replacements.push({ tempPath, filePath });
+        files.push(filePath);
+        return pipeline(source, storage.createFileWriteStream(tempPath));
+      }
+    }
+
+    created.push(filePath);
+    files.push(filePath);
+    await pipeline(source, storage.createFileWriteStream(filePath));
+  };
+
+  try {
+    storage.ensureDirectoryExists(to);
+
+    if (format === "zip") {
+      await extractZip(storage, archivePath, to, writeEntry);
+    } else if (format === "gzip" || format === "brotli") {
+      const name = path.basename(archivePath).replace(/\.(gz|br)$/i, "");
+      const entryName = name === path.basename(archivePath) ? `${name}.out` : name;
+      await writeEntry(entryName, decompress(storage.createFileReadStream(archivePath), format));
+    } else {
+      const compression = format === "tar.gz" ? "gzip" : format === "tar.br" ? "brotli" : null;
+      const source = compression ? decompress(storage.createFileReadStream(archivePath), compression) : storage.createFileReadStream(archivePath);
+      await extractTar(source, archivePath, writeEntry);
+    }
+
+    for (const { tempPath, filePath } of replacements) await storage.renameFile(tempPath, filePath);
+  } catch (error) {
+    for (const filePath of created) storage.removeFile(filePath);
+    for (const { tempPath } of replacements) storage.removeFile(tempPath);
+    if (error instanceof ExtractionError) throw error;
+    throw new ExtractionError(`Failed to extract archive: ${archivePath}`, archivePath, error);
+  }
+
+  return { format, to, files };
+}
+
+/**
+ * Resolve the path of an archive entry, refusing paths outside the target directory
+ * @param {string} to - Target directory
+ * @param {string} entryName - Entry path inside the archive
+ * @param {string} archivePath - Archive path (for errors)
+ * @returns {string} Entry file path
+ * @throws {ExtractionError} If the entry path is absolute or escapes the target directory
+ */
+function resolveEntryPath(to, entryName, archivePath) {
+  const root = path.resolve(to);
+  const filePath = path.resolve(root, entryName);
+
+  // A root directory such as "/" already ends with a separator
+  const prefix = root.endsWith(path.sep) ? root : root + path.sep;
+  if (path.isAbsolute(entryName) || /^[a-z]:/i.test(entryName) || !filePath.startsWith(prefix) || filePath === root) {
+    throw new ExtractionError(`Archive entry escapes the target directory: ${entryName}`, archivePath);
+  }
+
+  return path.join(to, path.relative(root, filePath));
+}
+
+/**
+ * Read a stream to its end, dropping the data (for skipped entries, whose data must still be consumed)
+ * @param {Readable} source - Entry data
+ * @returns {Promise<void>}
+ */
+async function discard(source) {
+  for await (const chunk of source);
+}
+
+/**
+ * Pipe a stream through a decompressor
+ * @param {Readable} source - Compressed stream
+ * @param {string} compression - 'gzip' or 'brotli'
+ * @returns {Readable} Decompressed stream
+ */
+function decompress(source, compression) {
+  return pipeThrough(source, compression === "brotli" ? zlib.createBrotliDecompress() : zlib.createGunzip());
+}
+
+/**
+ * Pipe a stream through a transform, forwarding the errors of the source
+ * @param {Readable} source - Source stream
+ * @param {Transform} transform - Transform stream
+ * @returns {Readable} Transformed stream
+ */
+function pipeThrough(source, transform) {
+  source.on("error", (error) => transform.destroy(error));
+  return source.pipe(transform);
+}
+
+/**
+ * Read a byte range of a stored file
+ * @param {StorageBackend} storage - Storage backend
+ * @param {string} filePath - File path
+ * @param {number} start - First byte
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>} Bytes read (fewer at the end of the file)
+ */
+async function readRange(storage, filePath, start, length) {
+  if (length <= 0) return Buffer.alloc(0);
+
+  const chunks = [];
+  for await (const chunk of storage.createFileReadStream(filePath, { start, end: start + length - 1 })) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Extract a zip archive, using its central directory
+ * @param {StorageBackend} storage - Storage backend
+ * @param {string} archivePath - Archive path
+ * @param {string} to - Target directory
+ * @param {Function} writeEntry - Writes an entry: `(entryName, source) => Promise`
+ * @returns {Promise<void>}
+ * @throws {ExtractionError} If the archive is invalid or uses unsupported features
+ */
+async function extractZip(storage, archivePath, to, writeEntry) {
+  const size = storage.getFileSize(archivePath);
+
+  // The end of central directory record is in the last 64KB (its comment is at most 65535 bytes)
+  const tailStart = Math.max(0, size - 65557);
+  const tail = await readRange(storage, archivePath, tailStart, size - tailStart);
+  const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd === -1) throw new ExtractionError(`Invalid zip archive (no central directory): ${archivePath}`, archivePath);
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new ExtractionError(`ZIP64 archives are not supported: ${archivePath}`, archivePath);
+  }
+
+  // Read every entry first, so a bad entry fails the extraction before anything is written
+  const directory = await readRange(storage, archivePath, directoryOffset, directorySize);
+  const entries = [];
+  let position = 0;
+
+  for (let index = 0; index < entryCount; index++) {
+    if (directory.readUInt32LE(position) !== 0x02014b50) throw new ExtractionError(`Invalid zip central directory: ${archivePath}`, archivePath);
+
+    const flags = directory.readUInt16LE(position + 8);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const entry = {
+      method: directory.readUInt16LE(position + 10),
+      compressedSize: directory.readUInt32LE(position + 20),
+      mode: directory.readUInt32LE(position + 38) >>> 16,
+      localOffset: directory.readUInt32LE(position + 42),
+      name: directory.toString(flags & 0x800 ? "utf8" : "latin1", position + 46, position + 46 + nameLength),
+    };
+    position += 46 + nameLength + directory.readUInt16LE(position + 30) + directory.readUInt16LE(position + 32);
+
+    if (flags & 0x1) throw new ExtractionError(`Encrypted zip entries are not supported: ${entry.name}`, archivePath);
+
+    // Directories are created with their files; symbolic links are skipped
+    const isLink = (entry.mode & 0o170000) === 0o120000;
+    if (entry.name.endsWith("/") || isLink) continue;
+
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new ExtractionError(`Unsupported zip compression method ${entry.method}: ${entry.name}`, archivePath);
+    }
+
+    resolveEntryPath(to, entry.name, archivePath);
+    entries.push(entry);
+  }
+
+  for (const entry of entries) {
+    // The data follows the local header, whose name and extra field lengths may differ from the central directory
+    const localHeader = await readRange(storage, archivePath, entry.localOffset, 30);
+    if (localHeader.length < 30 || localHeader.readUInt32LE(0) !== 0x04034b50) {
+      throw new ExtractionError(`Invalid zip local header: ${entry.name}`, archivePath);
+    }
+    const dataStart = entry.localOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+
+    const data = entry.compressedSize > 0 ? storage.createFileReadStream(archivePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 }) : Readable.from([]);
+    await writeEntry(entry.name, entry.method === 8 ? pipeThrough(data, zlib.createInflateRaw()) : data);
+  }
+}
+
+/**
+ * Extract a tar stream (ustar, pax and GNU long names)
+ * @param {Readable} source - Uncompressed tar stream
+ * @param {string} archivePath - Archive path (for errors)
+ * @param {Function} writeEntry - Writes an entry: `(entryName, source) => Promise`
+ * @returns {Promise<void>}
+ * @throws {ExtractionError} If the archive is truncated or invalid
+ */
+async function extractTar(source, archivePath, writeEntry) {
+  const reader = createByteReader(source);
+  let longName = null;
+  let paxHeaders = {};
+
+  try {
+    while (true) {
+      const header = await reader.read(TAR_BLOCK_SIZE);
+
+      // The archive ends with two zero blocks (some writers stop after one, or none)
+      if (header.length < TAR_BLOCK_SIZE || header.every((byte) => byte === 0)) return;
+
+      const type = String.fromCharCode(header[156] || 0x30);
+      const size = paxHeaders.size !== undefined ? parseInt(paxHeaders.size, 10) : parseTarNumber(header.subarray(124, 136));
+      const prefix = header.toString("latin1", 257, 262) === "ustar" ? readTarString(header, 345, 155) : "";
+      const name = paxHeaders.path || longName || (prefix ? `${prefix}/${readTarString(header, 0, 100)}` : readTarString(header, 0, 100));
+      const padding = (TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+
+      if (type === "x" || type === "L") {
+        // Extended headers apply to the next entry
+        const data = await reader.read(size);
+        await reader.read(padding);
+        if (type === "L") longName = data.toString("utf8").replace(/\0.*$/s, "");
+        else paxHeaders = parsePaxHeaders(data);
+        continue;
+      }
+
+      longName = null;
+      paxHeaders = {};
+
+      if (type === "0" || type === "7" || type === "\0") {
+        await writeEntry(name, Readable.from(reader.take(size)));
+        if (reader.missing > 0) throw new ExtractionError(`Truncated tar archive: ${archivePath}`, archivePath);
+      } else {
+        // Directories are created with their files; links and special files are skipped
+        await reader.skip(size);
+      }
+      await reader.read(padding);
+    }
+  } finally {
+    reader.close();
+  }
+}
+
+/**
+ * Read a NUL-terminated string field of a tar header
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Field value
+ */
+function readTarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString("utf8", 0, end === -1 ? field.length : end);
+}
+
+/**
+ * Parse a numeric tar header field (octal, or base-256 for large values)
+ * @param {Buffer} field - Field bytes
+ * @returns {number} Value
+ */
+function parseTarNumber(field) {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let index = 1; index < field.length; index++) value = value * 256 + field[index];
+    return value;
+  }
+
+  return parseInt(field.toString("latin1").replace(/[\0 ]+$/, "").trim() || "0", 8);
+}
+
+/**
+ * Parse pax extended header records (`<length> <key>=<value>\n`)
+ * @param {Buffer} data - Extended header data
+ * @returns {Object<string, string>} Values by key
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let position = 0;
+
+  while (position < data.length) {
+    const space = data.indexOf(0x20, position);
+    const length = parseInt(data.toString("latin1", position, space), 10);
+    if (space === -1 || !length) break;
+
+    const record = data.toString("utf8", space + 1, position + length - 1);
+    const separator = record.indexOf("=");
+    headers[record.slice(0, separator)] = record.slice(separator + 1);
+    position += length;
+  }
+
+  return headers;
+}
+
+/**
+ * Read a stream in exact amounts, as buffers or as a stream of chunks
+ * @param {Readable} stream - Source stream
+ * @returns {Object} Reader with `read(n)`, `take(n)` (async generator), `skip(n)`, `missing` and `close()`
+ */
+function createByteReader(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let ended = false;
+
+  const next = async () => {
+    const { value, done } = await iterator.next();
+    if (done) ended = true;
+    else buffered = buffered.length > 0 ? Buffer.concat([buffered, value]) : value;
+  };
+
+  const reader = {
+    /**
+     * Bytes missing at the end of the last `take`
+     * @type {number}
+     */
+    missing: 0,
+
+    async read(length) {
+      while (buffered.length < length && !ended) await next();
+      const chunk = buffered.subarray(0, length);
+      buffered = buffered.subarray(chunk.length);
+      return chunk;
+    },
+
+    async *take(length) {
+      let remaining = length;
+      while (remaining > 0) {
+        if (buffered.length === 0) {
+          if (ended) break;
+          await next();
+          continue;
+        }
+
+        const piece = buffered.subarray(0, Math.min(remaining, buffered.length));
+        buffered = buffered.subarray(piece.length);
+        remaining -= piece.length;
+        yield piece;
+      }
+      reader.missing = remaining;
+    },
+
+    async skip(length) {
+      const pieces = reader.take(length);
+      while (!(await pieces.next()).done);
+    },
+
+    close() {
+      iterator.return?.();
+    },
+  };
+
+  return reader;
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  normalizeExtractOptions,
+  detectArchiveFormat,
+  extractArchive,
+};
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview File name inference and sanitization helpers
+ * @module utils/file-name
+ */
+
+/**
+ * Default file name used when nothing better can be inferred
+ * @type {string}
+ */
+const DEFAULT_FILE_NAME = "file";
+
+/**
+ * File extensions for common MIME types
+ * @type {Object<string, string>}
+ */
+const MIME_EXTENSIONS = {
+  "application/gzip": ".gz",
+  "application/json": ".json",
+  "application/octet-stream": ".bin",
+  "application/pdf": ".pdf",
+  "application/x-7z-compressed": ".7z",
+  "application/x-bzip2": ".bz2",
+  "application/x-gzip": ".gz",
+  "application/x-tar": ".tar",
+  "application/xml": ".xml",
+  "application/zip": ".zip",
+  "audio/mpeg": ".mp3",
+  "audio/ogg": ".ogg",
+  "audio/wav": ".wav",
+  "image/avif": ".avif",
+  "image/bmp": ".bmp",
+  "image/gif": ".gif",
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/svg+xml": ".svg",
+  "image/webp": ".webp",
+  "image/x-icon": ".ico",
+  "text/css": ".css",
+  "text/csv": ".csv",
+  "text/html": ".html",
+  "text/javascript": ".js",
+  "text/markdown": ".md",
+  "text/plain": ".txt",
+  "text/xml": ".xml",
+  "video/mp2t": ".ts",
+  "video/mp4": ".mp4",
+  "video/quicktime": ".mov",
+  "video/webm": ".webm",
+};
+
+/**
+ * Names reserved by Windows, which cannot be used as file names even with an extension
+ * @type {RegExp}
+ */
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * Maximum file name length in bytes on most file systems
+ * @type {number}
+ */
+const MAX_FILE_NAME_BYTES = 255;
+
+/**
+ * Decode a percent-encoded string, returning it unchanged if it is malformed
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Extract the file name from a `Content-Disposition` header
+ *
+ * The RFC 5987 `filename*` parameter (e.g. `filename*=UTF-8''r%C3%A9sum%C3%A9.pdf`) takes precedence over `filename`.
+ * @param {string} [header] - Header value
+ * @returns {string|null} File name, or null if none is present
+ */
+function parseContentDisposition(header) {
+  if (!header) return null;
+
+  const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+  if (extended) {
+    const value = extended[2].trim().replace(/^"(.*)"$/, "$1");
+    const charset = extended[1].trim().toLowerCase();
+
+    // Only UTF-8 is percent-decoded; ISO-8859-1 bytes map directly to code points
+    if (charset === "utf-8" || charset === "") return safeDecode(value);
+    return value.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  const plain = /filename\s*=\s*(?:"((?:\\.|[^"\\])*)"|([^;]+))/i.exec(header);
+  if (plain) {
+    const value = plain[1] !== undefined ? plain[1].replace(/\\(.)/g, "$1") : plain[2].trim();
+    return value || null;
+  }
+
+  return null;
+}
+
+/**
+ * Get the last path segment of a URL
+ * @param {string} url - URL
+ * @returns {string} Decoded last path segment, or an empty string
+ */
+function getUrlFileName(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    pathname = String(url).split(/[?#]/)[0];
+  }
+
+  // URLs without a hierarchical path (`data:`, `mailto:`...) have no file name
+  if (/^[a-z][a-z0-9+.-]+:/i.test(url) && !pathname.startsWith("/")) return "";
+
+  return safeDecode(pathname.split("/").pop() || "");
+}
+
+/**
+ * Get the file extension for a MIME type
+ * @param {string} [contentType] - `Content-Type` header value (parameters are ignored)
+ * @returns {string} Extension including the dot, or an empty string if unknown
+ */
+function getExtensionFromContentType(contentType) {
+  if (!contentType) return "";
+  const mimeType = String(contentType).split(";")[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[mimeType] || "";
+}
+
+/**
+ * Make a file name safe to use on common file systems
+ *
+ * Path separators, characters reserved on Windows and control characters are replaced,
+ * leading dots and trailing dots/spaces are removed, reserved device names are prefixed
+ * and the name is truncated to 255 bytes while keeping its extension.
+ * @param {string} fileName - File name to sanitize
+ * @param {string} [replacement='_'] - Replacement for invalid characters
+ * @returns {string} Sanitized file name (falls back to `file` when nothing is left)
+ */
+function sanitizeFileName(fileName, replacement = "_") {
+  let name = String(fileName || "")
+    .replace(/[\/\\?%*:|"<>\x00-\x1f\x7f]/g, replacement)
+    .replace(/^[.\s]+/, "")
+    .replace(/[.\s]+$/, "")
+    .trim();
+
+  if (name === "" || /^_+$/.test(name)) return DEFAULT_FILE_NAME;
+  if (WINDOWS_RESERVED_NAMES.test(name)) name = `${replacement}${name}`;
+
+  if (Buffer.byteLength(name) > MAX_FILE_NAME_BYTES) {
+    const lastDotIndex = name.lastIndexOf(".");
+    const extension = lastDotIndex > 0 && name.length - lastDotIndex <= 16 ? name.substring(lastDotIndex) : "";
+    let baseName = name.substring(0, name.length - extension.length);
+
+    while (Buffer.byteLength(baseName + extension) > MAX_FILE_NAME_BYTES) {
+      baseName = baseName.slice(0, -1);
+    }
+    name = baseName + extension;
+  }
+
+  return name;
+}
+
+/**
+ * Infer a file name for a download
+ *
+ * Sources are tried in order: the `Content-Disposition` header, the name given by the protocol
+ * handler, the last segment of the final URL (after redirects), then an extension guessed from
+ * the `Content-Type` is added when the name has none. The result is sanitized.
+ * @param {Object} sources - Information about the response
+ * @param {string} [sources.contentDisposition] - `Content-Disposition` header
+ * @param {string} [sources.fileName] - Name given by a protocol handler (e.g. the base name of a `file:` URL)
+ * @param {string} [sources.url] - Final URL of the response
+ * @param {string} [sources.contentType] - `Content-Type` header
+ * @returns {string} Sanitized file name
+ */
+function inferFileName(sources) {
+  const { contentDisposition, fileName, url, contentType } = sources;
+
+  let name = parseContentDisposition(contentDisposition) || fileName || getUrlFileName(url || "");
+
+  // Only keep the last segment of names that contain a path
+  name = name.split(/[\/\\]/).pop();
+
+  if (!/\.[a-z0-9]{1,10}$/i.test(name)) {
+    name = `${name || DEFAULT_FILE_NAME}${getExtensionFromContentType(contentType)}`;
+  }
+
+  return sanitizeFileName(name);
+}
+
+module.exports = {
+  DEFAULT_FILE_NAME,
+  safeDecode,
+  parseContentDisposition,
+  getUrlFileName,
+  getExtensionFromContentType,
+  sanitizeFileName,
+  inferFileName,
+};
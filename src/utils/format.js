@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Human-readable formatting helpers for sizes and speeds
+ * @module utils/format
+ */
+
+const { secondsToDuration } = require("@el-zazo/main-utils");
+
+/**
+ * Size units, from bytes to gigabytes
+ * @type {Array<string>}
+ */
+const SIZE_UNITS = ["B", "KB", "MB", "GB"];
+
+/**
+ * Format a number of bytes with the largest fitting unit (B, KB, MB, GB)
+ * @param {number|null} bytes - Number of bytes
+ * @param {number} [decimals=2] - Number of decimals for units above bytes
+ * @returns {string} Formatted size (e.g. `1.50 MB`), or `?` if unknown
+ */
+function formatBytes(bytes, decimals = 2) {
+  if (typeof bytes !== "number" || !Number.isFinite(bytes) || bytes < 0) return "?";
+
+  let value = bytes;
+  let unitIndex = 0;
+  while (value >= 1024 && unitIndex < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unitIndex++;
+  }
+
+  return unitIndex === 0 ? `${value} B` : `${value.toFixed(decimals)} ${SIZE_UNITS[unitIndex]}`;
+}
+
+/**
+ * Format a speed in bytes per second
+ * @param {number} bytesPerSecond - Speed in bytes per second
+ * @returns {string} Formatted speed (e.g. `1.50 MB/s`)
+ */
+function formatSpeed(bytesPerSecond) {
+  return `${formatBytes(Math.round(bytesPerSecond || 0))}/s`;
+}
+
+/**
+ * Format a remaining time
+ * @param {number|null} seconds - Remaining time in seconds
+ * @returns {string} Formatted duration (e.g. `00:01:05`), or `--:--:--` if unknown
+ */
+function formatEta(seconds) {
+  return typeof seconds === "number" && Number.isFinite(seconds) ? secondsToDuration(Math.round(seconds)) : "--:--:--";
+}
+
+module.exports = {
+  formatBytes,
+  formatSpeed,
+  formatEta,
+};
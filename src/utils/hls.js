@@ -0,0 +1,263 @@
+/**
+ * @fileoverview HLS helpers: M3U8 playlist parsing, variant selection and segment decryption parameters
+ * @module utils/hls
+ */
+
+const { DEFAULT_FILE_NAME, getUrlFileName, sanitizeFileName } = require("./file-name");
+const { InvalidOptionError } = require("../errors/download-errors");
+
+/**
+ * Values of the `hls` download option
+ * @type {Array<boolean|string>}
+ */
+const HLS_MODES = [true, false, "auto"];
+
+/**
+ * Named variant selections
+ * @type {Array<string>}
+ */
+const VARIANT_SELECTIONS = ["highest", "lowest"];
+
+/**
+ * A variant stream of a master playlist
+ * @typedef {Object} HlsVariant
+ * @property {string} url - URL of the media playlist
+ * @property {number} bandwidth - Peak bandwidth in bits per second (0 when missing)
+ * @property {number|null} averageBandwidth - Average bandwidth in bits per second
+ * @property {{width: number, height: number}|null} resolution - Video resolution
+ * @property {string|null} codecs - Codecs of the stream
+ */
+
+/**
+ * A segment of a media playlist
+ * @typedef {Object} HlsSegment
+ * @property {string} url - Segment URL
+ * @property {number|null} duration - Duration in seconds
+ * @property {number} sequence - Media sequence number
+ * @property {{length: number, offset: number}|null} byteRange - Part of the resource holding the segment
+ * @property {{method: string, url: string, iv: Buffer|null}|null} key - Encryption key (`AES-128`), or null
+ * @property {{url: string, byteRange: Object|null}|null} map - Initialization section (`#EXT-X-MAP`), or null
+ */
+
+/**
+ * Check whether a URL points to an HLS playlist, from its `.m3u8` extension
+ * @param {string} url - URL
+ * @returns {boolean} True for a playlist URL
+ */
+function isHlsUrl(url) {
+  return /\.m3u8$/i.test(getUrlFileName(url));
+}
+
+/**
+ * Parse an attribute list (`BANDWIDTH=1280000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"`)
+ * @param {string} text - Attribute list
+ * @returns {Object<string, string>} Values by attribute name, without quotes
+ */
+function parseAttributeList(text) {
+  const attributes = {};
+
+  for (const [, name, quoted, plain] of text.matchAll(/([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g)) {
+    attributes[name] = quoted ?? plain.trim();
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse a byte range (`<length>[@<offset>]`)
+ * @param {string} value - Byte range
+ * @param {number|null} previousEnd - End of the previous range of the same resource, used when the offset is omitted
+ * @returns {{length: number, offset: number}} Byte range
+ * @throws {Error} If the range is invalid
+ */
+function parseByteRange(value, previousEnd) {
+  const match = /^(\d+)(?:@(\d+))?$/.exec(value.trim());
+  if (!match || (match[2] === undefined && previousEnd === null)) throw new Error(`Invalid HLS byte range: ${value}`);
+
+  return { length: Number(match[1]), offset: match[2] !== undefined ? Number(match[2]) : previousEnd };
+}
+
+/**
+ * Parse a master or media playlist
+ * @param {string} text - Playlist content
+ * @param {string} playlistUrl - URL of the playlist (after redirects), against which URIs are resolved
+ * @returns {{type: 'master', variants: Array<HlsVariant>}|{type: 'media', targetDuration: number|null, endList: boolean, segments: Array<HlsSegment>}} Parsed playlist
+ * @throws {Error} If the text is not a playlist, or uses an unsupported encryption method
+ */
+function parsePlaylist(text, playlistUrl) {
+  const lines = text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "");
+
+  if (lines[0] !== "#EXTM3U") throw new Error(`Not an HLS playlist (missing #EXTM3U): ${playlistUrl}`);
+
+  const resolve = (uri) => new URL(uri, playlistUrl).href;
+
+  if (lines.some((line) => line.startsWith("#EXT-X-STREAM-INF:"))) {
+    const variants = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].startsWith("#EXT-X-STREAM-INF:")) continue;
+
+      // The URI is the next line that is not a tag
+      const attributes = parseAttributeList(lines[i].slice("#EXT-X-STREAM-INF:".length));
+      while (i + 1 < lines.length && lines[i + 1].startsWith("#")) i++;
+      if (i + 1 >= lines.length) break;
+
+      const resolution = /^(\d+)x(\d+)$/.exec(attributes.RESOLUTION || "");
+      variants.push({
+        url: resolve(lines[++i]),
+        bandwidth: Number(attributes.BANDWIDTH) || 0,
+        averageBandwidth: Number(attributes["AVERAGE-BANDWIDTH"]) || null,
+        resolution: resolution ? { width: Number(resolution[1]), height: Number(resolution[2]) } : null,
+        codecs: attributes.CODECS || null,
+      });
+    }
+
+    return { type: "master", variants };
+  }
+
+  const segments = [];
+  let mediaSequence = 0;
+  let targetDuration = null;
+  let endList = false;
+  let key = null;
+  let map = null;
+  let duration = null;
+  let byteRange = null;
+  let previousRange = null;
+
+  for (const line of lines) {
+    if (line.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+      mediaSequence = Number(line.slice("#EXT-X-MEDIA-SEQUENCE:".length)) || 0;
+    } else if (line.startsWith("#EXT-X-TARGETDURATION:")) {
+      targetDuration = Number(line.slice("#EXT-X-TARGETDURATION:".length)) || null;
+    } else if (line === "#EXT-X-ENDLIST") {
+      endList = true;
+    } else if (line.startsWith("#EXTINF:")) {
+      duration = parseFloat(line.slice("#EXTINF:".length)) || null;
+    } else if (line.startsWith("#EXT-X-BYTERANGE:")) {
+      byteRange = line.slice("#EXT-X-BYTERANGE:".length);
+    } else if (line.startsWith("#EXT-X-KEY:")) {
+      const attributes = parseAttributeList(line.slice("#EXT-X-KEY:".length));
+
+      if (attributes.METHOD === "NONE") {
+        key = null;
+      } else if (attributes.METHOD === "AES-128" && attributes.URI) {
+        const iv = /^0x([0-9a-f]{1,32})$/i.exec(attributes.IV || "");
+        key = { method: "AES-128", url: resolve(attributes.URI), iv: iv ? Buffer.from(iv[1].padStart(32, "0"), "hex") : null };
+      } else {
+        throw new Error(`Unsupported HLS encryption method: ${attributes.METHOD || "(none)"}${attributes.URI ? "" : " without URI"}`);
+      }
+    } else if (line.startsWith("#EXT-X-MAP:")) {
+      const attributes = parseAttributeList(line.slice("#EXT-X-MAP:".length));
+      if (!attributes.URI) throw new Error("HLS initialization section (#EXT-X-MAP) without URI");
+      map = { url: resolve(attributes.URI), byteRange: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE, 0) : null };
+    } else if (!line.startsWith("#")) {
+      const url = resolve(line);
+
+      // A range without offset continues where the previous range of the same resource ended
+      const previousEnd = previousRange && previousRange.url === url ? previousRange.end : null;
+      const range = byteRange !== null ? parseByteRange(byteRange, previousEnd) : null;
+      previousRange = range ? { url, end: range.offset + range.length } : null;
+
+      segments.push({ url, duration, sequence: mediaSequence + segments.length, byteRange: range, key, map });
+      duration = null;
+      byteRange = null;
+    }
+  }
+
+  return { type: "media", targetDuration, endList, segments };
+}
+
+/**
+ * Parse the height of a resolution (`720`, `'720p'` or `'1280x720'`)
+ * @param {number|string} resolution - Resolution
+ * @returns {number} Height in pixels
+ * @throws {InvalidOptionError} If the resolution is invalid
+ */
+function parseHeight(resolution) {
+  const match = /^(?:(\d+)x)?(\d+)p?$/i.exec(String(resolution).trim());
+  if (!match) throw new InvalidOptionError(`Invalid resolution: ${resolution} (expected e.g. 720, '720p' or '1280x720')`, "hlsVariant");
+  return Number(match[2]);
+}
+
+/**
+ * Validate and normalize the variant selection of a download
+ * @param {string|Object} [selection='highest'] - `'highest'`, `'lowest'` or `{ maxBandwidth, maxResolution }`
+ * @returns {string|{maxBandwidth: number|null, maxHeight: number|null}} Normalized selection
+ * @throws {InvalidOptionError} If the selection is invalid
+ */
+function normalizeVariantSelection(selection = "highest") {
+  if (VARIANT_SELECTIONS.includes(selection)) return selection;
+
+  if (!selection || typeof selection !== "object") {
+    throw new InvalidOptionError(`Invalid hlsVariant: ${selection} (expected ${VARIANT_SELECTIONS.join(", ")} or { maxBandwidth, maxResolution })`, "hlsVariant");
+  }
+
+  const { maxBandwidth = null, maxResolution = null } = selection;
+  if (maxBandwidth !== null && !(Number.isFinite(maxBandwidth) && maxBandwidth >= 0)) throw new InvalidOptionError(`Invalid maxBandwidth: ${maxBandwidth} (expected bits per second)`, "hlsVariant");
+
+  return { maxBandwidth, maxHeight: maxResolution !== null ? parseHeight(maxResolution) : null };
+}
+
+/**
+ * Choose the variant of a master playlist to download
+ *
+ * `'highest'` and `'lowest'` pick by bandwidth. `{ maxBandwidth, maxHeight }` picks the highest variant
+ * within both limits, or the lowest variant when none fits.
+ * @param {Array<HlsVariant>} variants - Variants of the master playlist
+ * @param {string|Object} selection - Normalized selection (see `normalizeVariantSelection`)
+ * @returns {HlsVariant} Chosen variant
+ * @throws {Error} If the playlist has no variant
+ */
+function selectVariant(variants, selection) {
+  if (variants.length === 0) throw new Error("HLS master playlist has no variant");
+
+  const byBandwidth = [...variants].sort((a, b) => a.bandwidth - b.bandwidth);
+  if (selection === "highest") return byBandwidth[byBandwidth.length - 1];
+  if (selection === "lowest") return byBandwidth[0];
+
+  // Variants without a resolution (audio-only streams) only have to fit the bandwidth
+  const { maxBandwidth, maxHeight } = selection;
+  const fitting = byBandwidth.filter(
+    (variant) => (maxBandwidth === null || variant.bandwidth <= maxBandwidth) && (maxHeight === null || !variant.resolution || variant.resolution.height <= maxHeight),
+  );
+
+  return fitting.length > 0 ? fitting[fitting.length - 1] : byBandwidth[0];
+}
+
+/**
+ * Get the IV decrypting a segment: the key's `IV`, or the media sequence number as a 128-bit big-endian integer
+ * @param {HlsSegment} segment - Encrypted segment
+ * @returns {Buffer} 16-byte IV
+ */
+function getSegmentIv(segment) {
+  if (segment.key.iv) return segment.key.iv;
+
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(segment.sequence), 8);
+  return iv;
+}
+
+/**
+ * Get the name of the file a playlist is saved to: the playlist name with a `.ts` extension
+ * @param {string} playlistUrl - Playlist URL
+ * @returns {string} Sanitized file name
+ */
+function getHlsFileName(playlistUrl) {
+  const baseName = getUrlFileName(playlistUrl).replace(/\.m3u8?$/i, "");
+  return sanitizeFileName(`${baseName || DEFAULT_FILE_NAME}.ts`);
+}
+
+module.exports = {
+  HLS_MODES,
+  isHlsUrl,
+  parsePlaylist,
+  normalizeVariantSelection,
+  selectVariant,
+  getSegmentIv,
+  getHlsFileName,
+};
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Download limits: size bounds, allowed content types and free disk space
+ * @module utils/limits
+ */
+
+const { InvalidOptionError } = require("../errors/download-errors");
+
+/**
+ * Validate and normalize the limits of a download
+ * @param {Object} limits - Limit options
+ * @param {number|null} [limits.maxSize=null] - Maximum file size in bytes
+ * @param {number|null} [limits.minSize=null] - Minimum file size in bytes
+ * @param {string|Array<string>|null} [limits.allowedContentTypes=null] - Allowed media types (`image/*` matches any image)
+ * @param {boolean} [limits.checkDiskSpace=true] - Check the free space of the target directory before writing
+ * @param {number} [limits.minFreeSpace=0] - Bytes that must stay free once the file is written
+ * @returns {{maxSize: number|null, minSize: number|null, allowedContentTypes: Array<string>|null, checkDiskSpace: boolean, minFreeSpace: number}} Normalized limits
+ * @throws {InvalidOptionError} If a limit is invalid
+ */
+function normalizeLimits(limits = {}) {
+  const { maxSize = null, minSize = null, allowedContentTypes = null, checkDiskSpace = true, minFreeSpace = 0 } = limits;
+
+  for (const [name, value] of Object.entries({ maxSize, minSize, minFreeSpace })) {
+    if (value !== null && !(Number.isFinite(value) && value >= 0)) throw new InvalidOptionError(`Invalid ${name}: ${value} (expected a number of bytes)`, name);
+  }
+  if (maxSize !== null && minSize !== null && minSize > maxSize) throw new InvalidOptionError(`Invalid limits: minSize (${minSize}) is larger than maxSize (${maxSize})`, "minSize");
+
+  const types = typeof allowedContentTypes === "string" ? [allowedContentTypes] : allowedContentTypes;
+  if (types !== null && (!Array.isArray(types) || types.some((type) => typeof type !== "string"))) {
+    throw new InvalidOptionError("Invalid allowedContentTypes (expected an array of media types)", "allowedContentTypes");
+  }
+
+  return {
+    maxSize,
+    minSize,
+    allowedContentTypes: types && types.map((type) => type.trim().toLowerCase()),
+    checkDiskSpace: Boolean(checkDiskSpace),
+    minFreeSpace,
+  };
+}
+
+/**
+ * Get the media type of a `Content-Type` header, without its parameters
+ *
+ * A missing header means `application/octet-stream` (RFC 9110).
+ * @param {string} [contentType] - `Content-Type` header
+ * @returns {string} Lower-case media type (e.g. `text/html`)
+ */
+function getMediaType(contentType) {
+  return (contentType || "application/octet-stream").split(";")[0].trim().toLowerCase() || "application/octet-stream";
+}
+
+/**
+ * Check a `Content-Type` header against an allowlist
+ * @param {string} [contentType] - `Content-Type` header
+ * @param {Array<string>} allowedContentTypes - Lower-case media types, `type/*` wildcards or `*\/*`
+ * @returns {boolean} True if the media type is allowed
+ */
+function isContentTypeAllowed(contentType, allowedContentTypes) {
+  const mediaType = getMediaType(contentType);
+
+  return allowedContentTypes.some((allowed) => {
+    if (allowed === "*/*" || allowed === mediaType) return true;
+    return allowed.endsWith("/*") && mediaType.startsWith(allowed.slice(0, -1));
+  });
+}
+
+module.exports = {
+  normalizeLimits,
+  getMediaType,
+  isContentTypeAllowed,
+};
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Logging: level filtering, the ConsoleMessages adapter and the JSON-lines logger
+ * @module utils/logger
+ */
+
+const { ConsoleMessages } = require("@el-zazo/console-messages");
+const { InvalidOptionError } = require("../errors/download-errors");
+
+/**
+ * Log levels, from the most to the least verbose (`silent` disables logging)
+ * @type {Array<string>}
+ */
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+/**
+ * Methods a logger must implement
+ * @type {Array<string>}
+ */
+const LOGGER_METHODS = ["debug", "info", "warn", "error"];
+
+/**
+ * Split the arguments of a logger call into fields and message
+ * @param {Object|string} fieldsOrMessage - Fields of the record, or its message when it has no fields
+ * @param {string} [message] - Message, when fields are given
+ * @returns {{fields: Object, message: string}} Fields and message
+ */
+function splitArguments(fieldsOrMessage, message) {
+  return typeof fieldsOrMessage === "string" ? { fields: {}, message: fieldsOrMessage } : { fields: fieldsOrMessage || {}, message: message ?? "" };
+}
+
+/**
+ * Filters the records of a logger by level and sends them in the `(fields, message)` form of pino and bunyan
+ *
+ * Records without fields are sent as `(message)` alone, so `console` works as a logger too.
+ * @class Logger
+ */
+class Logger {
+  /**
+   * Create a new Logger instance
+   * @param {Object} target - Logger receiving the records: any object with `debug`, `info`, `warn` and `error` methods
+   * @param {string} [level='info'] - Minimum level of the records sent to the target
+   * @throws {InvalidOptionError} If the target lacks a method or the level is unknown
+   */
+  constructor(target, level = "info") {
+    const missing = LOGGER_METHODS.filter((method) => typeof target?.[method] !== "function");
+    if (missing.length > 0) throw new InvalidOptionError(`Invalid logger: missing ${missing.join(", ")} method${missing.length > 1 ? "s" : ""}`, "logger");
+    if (!LOG_LEVELS.includes(level)) throw new InvalidOptionError(`Unknown logLevel: ${level} (expected ${LOG_LEVELS.join(", ")})`, "logLevel");
+
+    this.target = target;
+    this.level = level;
+  }
+
+  /**
+   * Check whether records of a level are sent to the target
+   * @param {string} level - Log level
+   * @returns {boolean} True if the level is enabled
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Log a debug record
+   * @param {string} message - Message text
+   * @param {Object} [fields={}] - Structured fields of the record
+   */
+  debug(message, fields = {}) {
+    this.#write("debug", message, fields);
+  }
+
+  /**
+   * Log an info record
+   * @param {string} message - Message text
+   * @param {Object} [fields={}] - Structured fields of the record
+   */
+  info(message, fields = {}) {
+    this.#write("info", message, fields);
+  }
+
+  /**
+   * Log an info record reporting a success, sent to the `success` method of targets that have one
+   * @param {string} message - Message text
+   * @param {Object} [fields={}] - Structured fields of the record
+   */
+  success(message, fields = {}) {
+    this.#write(typeof this.target.success === "function" ? "success" : "info", message, fields, "info");
+  }
+
+  /**
+   * Log a warning record
+   * @param {string} message - Message text
+   * @param {Object} [fields={}] - Structured fields of the record
+   */
+  warn(message, fields = {}) {
+    this.#write("warn", message, fields);
+  }
+
+  /**
+   * Log an error record
+   * @param {string} message - Message text
+   * @param {Object} [fields={}] - Structured fields of the record
+   */
+  error(message, fields = {}) {
+    this.#write("error", message, fields);
+  }
+
+  /**
+   * Get a ConsoleMessages-like view of this logger, for helpers that log through `succes`, `error` and `normal`
+   * @returns {Object} Object with `succes`, `error`, `normal` and `warning` methods
+   */
+  toConsoleMessages() {
+    return {
+      succes: (message) => this.success(message),
+      error: (message) => this.error(message),
+      normal: (message) => this.info(message),
+      warning: (message) => this.warn(message),
+    };
+  }
+
+  /**
+   * Send a record to the target if its level is enabled
+   * @private
+   * @param {string} method - Target method
+   * @param {string} message - Message text
+   * @param {Object} fields - Structured fields of the record
+   * @param {string} [level=method] - Level of the record
+   */
+  #write(method, message, fields, level = method) {
+    if (!this.isLevelEnabled(level)) return;
+
+    try {
+      if (Object.keys(fields).length > 0) this.target[method](fields, message);
+      else this.target[method](message);
+    } catch (error) {
+      // A failing logger must not fail the download
+    }
+  }
+}
+
+/**
+ * Logger writing to a ConsoleMessages instance: the default logger, whose output is the library's usual one
+ *
+ * Fields are dropped; successes go to `succes`, errors to `error` and other records to `normal`.
+ * @class ConsoleMessagesLogger
+ */
+class ConsoleMessagesLogger {
+  /**
+   * Create a new ConsoleMessagesLogger instance
+   * @param {ConsoleMessages} [consoleMessages] - Console messages instance (a new one by default)
+   */
+  constructor(consoleMessages) {
+    this.consoleMessages = consoleMessages || new ConsoleMessages();
+  }
+
+  /**
+   * Write a debug record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  debug(fieldsOrMessage, message) {
+    this.consoleMessages.normal(splitArguments(fieldsOrMessage, message).message);
+  }
+
+  /**
+   * Write an info record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  info(fieldsOrMessage, message) {
+    this.consoleMessages.normal(splitArguments(fieldsOrMessage, message).message);
+  }
+
+  /**
+   * Write a success record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  success(fieldsOrMessage, message) {
+    this.consoleMessages.succes(splitArguments(fieldsOrMessage, message).message);
+  }
+
+  /**
+   * Write a warning record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  warn(fieldsOrMessage, message) {
+    this.consoleMessages.normal(splitArguments(fieldsOrMessage, message).message);
+  }
+
+  /**
+   * Write an error record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  error(fieldsOrMessage, message) {
+    this.consoleMessages.error(splitArguments(fieldsOrMessage, message).message);
+  }
+}
+
+/**
+ * Logger writing one JSON object per line: `{ time, level, msg, ...fields }`
+ *
+ * Errors in fields are written as `{ name, code, message }` (plus `status` for HTTP errors).
+ * @class JsonLinesLogger
+ */
+class JsonLinesLogger {
+  /**
+   * Create a new JsonLinesLogger instance
+   * @param {Object} [options={}] - Logger options
+   * @param {Writable} [options.stream=process.stdout] - Stream the lines are written to
+   */
+  constructor(options = {}) {
+    const { stream = process.stdout } = options;
+
+    this.stream = stream;
+  }
+
+  /**
+   * Write a debug record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  debug(fieldsOrMessage, message) {
+    this.#write("debug", fieldsOrMessage, message);
+  }
+
+  /**
+   * Write an info record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  info(fieldsOrMessage, message) {
+    this.#write("info", fieldsOrMessage, message);
+  }
+
+  /**
+   * Write a warning record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  warn(fieldsOrMessage, message) {
+    this.#write("warn", fieldsOrMessage, message);
+  }
+
+  /**
+   * Write an error record
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  error(fieldsOrMessage, message) {
+    this.#write("error", fieldsOrMessage, message);
+  }
+
+  /**
+   * Serialize a record and write it as one line
+   * @private
+   * @param {string} level - Log level
+   * @param {Object|string} fieldsOrMessage - Fields of the record, or its message
+   * @param {string} [message] - Message, when fields are given
+   */
+  #write(level, fieldsOrMessage, message) {
+    const record = splitArguments(fieldsOrMessage, message);
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg: record.message, ...record.fields }, (key, value) => {
+      if (!(value instanceof Error)) return value;
+      return { name: value.name, code: value.code, message: value.message, ...(value.status ? { status: value.status } : {}) };
+    });
+
+    this.stream.write(line + "\n");
+  }
+}
+
+/**
+ * Create the logger of a Download instance or a storage backend
+ * @param {Object|ConsoleMessages|Logger} [target=null] - Logger (`debug`, `info`, `warn`, `error`), ConsoleMessages instance,
+ *   or Logger to reuse as is; a new ConsoleMessages instance when null
+ * @param {string} [level='info'] - Minimum level of the records (ignored when reusing a Logger)
+ * @returns {Logger} Logger
+ * @throws {InvalidOptionError} If the target is not a logger or the level is unknown
+ */
+function createLogger(target = null, level = "info") {
+  if (target instanceof Logger) return target;
+
+  const isConsoleMessages = !target || typeof target.succes === "function";
+  return new Logger(isConsoleMessages ? new ConsoleMessagesLogger(target) : target, level);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  ConsoleMessagesLogger,
+  JsonLinesLogger,
+  createLogger,
+};
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Mirror helpers: URL lists and the order in which mirrors are tried
+ * @module utils/mirrors
+ */
+
+/**
+ * Orders in which the mirrors of a download are tried
+ * @type {Array<string>}
+ */
+const MIRROR_STRATEGIES = ["ordered", "latency", "round-robin"];
+
+/**
+ * Build the list of mirrors of a download
+ * @param {string|Array<string>} url - URL, or URLs of the mirrors in order of preference
+ * @param {Array<string>} [mirrors=[]] - Additional mirrors, tried after `url`
+ * @returns {Array<string>} Distinct mirror URLs, in order of preference
+ */
+function getMirrorList(url, mirrors = []) {
+  const urls = [...(Array.isArray(url) ? url : [url]), ...(mirrors || [])];
+  return [...new Set(urls.filter((mirror) => typeof mirror === "string" && mirror.trim() !== ""))];
+}
+
+/**
+ * Get the main URL of a download given as a URL or a list of mirrors
+ * @param {string|Array<string>} url - URL or mirror URLs
+ * @returns {string} First URL
+ */
+function getPrimaryUrl(url) {
+  return Array.isArray(url) ? url[0] : url;
+}
+
+/**
+ * Rotate a list of mirrors so it starts at a given position
+ * @param {Array<string>} mirrors - Mirror URLs
+ * @param {number} start - Index of the first mirror
+ * @returns {Array<string>} Rotated list
+ */
+function rotateMirrors(mirrors, start) {
+  const offset = start % mirrors.length;
+  return [...mirrors.slice(offset), ...mirrors.slice(0, offset)];
+}
+
+/**
+ * Sort mirrors by measured latency, keeping the preference order for ties and unreachable mirrors
+ * @param {Array<string>} mirrors - Mirror URLs
+ * @param {Array<number>} latencies - Latency of each mirror in milliseconds (`Infinity` if unreachable)
+ * @returns {Array<string>} Sorted list
+ */
+function sortMirrorsByLatency(mirrors, latencies) {
+  return mirrors
+    .map((mirror, index) => ({ mirror, latency: latencies[index] }))
+    .sort((a, b) => (a.latency === b.latency ? 0 : a.latency - b.latency))
+    .map(({ mirror }) => mirror);
+}
+
+module.exports = {
+  MIRROR_STRATEGIES,
+  getMirrorList,
+  getPrimaryUrl,
+  rotateMirrors,
+  sortMirrorsByLatency,
+};
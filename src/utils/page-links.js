@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Link harvesting helpers: extracting links from HTML pages and directory listings, and filtering them
+ * @module utils/page-links
+ */
+
+const { safeDecode, getUrlFileName, sanitizeFileName } = require("./file-name");
+const { InvalidOptionError } = require("../errors/download-errors");
+
+/**
+ * Protocols of the links that can be downloaded
+ * @type {Array<string>}
+ */
+const LINK_PROTOCOLS = ["http:", "https:"];
+
+/**
+ * Named HTML entities found in URLs
+ * @type {Object<string, string>}
+ */
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Decode the HTML entities of an attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeHtmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const codePoint = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Extract the `href` and `src` links of an HTML document
+ *
+ * Links are resolved against the page URL, or its `<base href>`, and their fragment is removed.
+ * Comments are ignored, and links that are not valid URLs are skipped.
+ * @param {string} html - HTML document
+ * @param {string} pageUrl - URL of the page (after redirects)
+ * @returns {Array<string>} Distinct absolute URLs, in document order
+ */
+function extractLinks(html, pageUrl) {
+  const content = html.replace(/<!--[\s\S]*?-->/g, "");
+  const values = [];
+  let baseUrl = pageUrl;
+
+  for (const [, tagName, attributes] of content.matchAll(/<([a-z][a-z0-9-]*)\b([^>]*)>/gi)) {
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of attributes.matchAll(/(?:^|\s)(href|src)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) {
+      const value = decodeHtmlEntities(doubleQuoted ?? singleQuoted ?? unquoted).trim();
+      if (!value) continue;
+
+      // A `<base href>` changes how the following links resolve
+      if (tagName.toLowerCase() === "base" && name.toLowerCase() === "href") {
+        try {
+          baseUrl = new URL(value, pageUrl).href;
+        } catch (error) {
+          // An invalid base is ignored, as browsers do
+        }
+        continue;
+      }
+
+      values.push([value, baseUrl]);
+    }
+  }
+
+  const links = new Set();
+  for (const [value, base] of values) {
+    try {
+      const url = new URL(value, base);
+      url.hash = "";
+      links.add(url.href);
+    } catch (error) {
+      // Not a valid URL
+    }
+  }
+
+  return [...links];
+}
+
+/**
+ * Convert a glob to a regular expression
+ *
+ * `*` matches within a path segment, `**` across segments, `?` one character and `{a,b}` either alternative.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Regular expression matching the whole string
+ */
+function globToRegExp(glob) {
+  let source = "";
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      source += "(?:";
+      braces++;
+    } else if (char === "}" && braces > 0) {
+      source += ")";
+      braces--;
+    } else if (char === "," && braces > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\{}]/g, "\\$&");
+    }
+  }
+
+  if (braces > 0) throw new Error(`Invalid glob (unclosed brace): ${glob}`);
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build the matcher of a link pattern
+ *
+ * A string starting with a dot is an extension (`.pdf`, `.tar.gz`, case-insensitive); another string is a glob,
+ * matched against the decoded URL path when it contains a `/`, and against the file name otherwise; a RegExp
+ * is tested against the whole URL.
+ * @param {string|RegExp} pattern - Link pattern
+ * @param {string} option - Option holding the pattern (`include` or `exclude`), for errors
+ * @returns {Function} Function taking a URL and returning whether it matches
+ * @throws {InvalidOptionError} If the pattern is not a string or a RegExp, or is an invalid glob
+ */
+function createPatternMatcher(pattern, option) {
+  if (pattern instanceof RegExp) return (url) => new RegExp(pattern.source, pattern.flags.replace("g", "")).test(url);
+  if (typeof pattern !== "string" || pattern === "") throw new InvalidOptionError(`Invalid link pattern: ${pattern} (expected a glob, an extension or a RegExp)`, option);
+
+  if (/^(\.[^./*?{}]+)+$/.test(pattern)) {
+    const extension = pattern.toLowerCase();
+    return (url) => getUrlFileName(url).toLowerCase().endsWith(extension);
+  }
+
+  let regExp;
+  try {
+    regExp = globToRegExp(pattern);
+  } catch (error) {
+    throw new InvalidOptionError(error.message, option);
+  }
+
+  if (pattern.includes("/")) return (url) => regExp.test(getUrlPath(url));
+  return (url) => regExp.test(getUrlFileName(url));
+}
+
+/**
+ * Build the filter deciding which links are downloaded
+ * @param {Object} [options={}] - Filter options
+ * @param {string|RegExp|Array<string|RegExp>} [options.include=null] - Patterns a link must match (all links when null)
+ * @param {string|RegExp|Array<string|RegExp>} [options.exclude=null] - Patterns a link must not match
+ * @returns {Function} Function taking a URL and returning whether it is kept
+ * @throws {InvalidOptionError} If a pattern is invalid
+ */
+function createLinkFilter(options = {}) {
+  const { include = null, exclude = null } = options;
+  const toMatchers = (patterns, option) => (patterns === null ? [] : Array.isArray(patterns) ? patterns : [patterns]).map((pattern) => createPatternMatcher(pattern, option));
+
+  const included = toMatchers(include, "include");
+  const excluded = toMatchers(exclude, "exclude");
+
+  return (url) => (included.length === 0 || included.some((matches) => matches(url))) && !excluded.some((matches) => matches(url));
+}
+
+/**
+ * Get the decoded path of a URL
+ * @param {string} url - URL
+ * @returns {string} Decoded path (e.g. `/pub/my file.txt`)
+ */
+function getUrlPath(url) {
+  return safeDecode(new URL(url).pathname);
+}
+
+/**
+ * Get the URL of the directory of a page (the page itself when its path ends with `/`)
+ * @param {string} pageUrl - Page URL
+ * @returns {string} Directory URL, without query
+ */
+function getDirectoryUrl(pageUrl) {
+  const url = new URL(pageUrl);
+  url.pathname = url.pathname.slice(0, url.pathname.lastIndexOf("/") + 1);
+  url.search = "";
+  url.hash = "";
+  return url.href;
+}
+
+/**
+ * Check whether a link points to a subdirectory of a directory listing
+ * @param {string} url - Link URL
+ * @param {string} directoryUrl - URL of the listing directory (see `getDirectoryUrl`)
+ * @returns {boolean} True for a directory below `directoryUrl` (parent and sorting links are not)
+ */
+function isSubdirectoryLink(url, directoryUrl) {
+  const link = new URL(url);
+  const directory = new URL(directoryUrl);
+
+  return (
+    link.origin === directory.origin &&
+    link.search === "" &&
+    link.pathname.endsWith("/") &&
+    link.pathname.length > directory.pathname.length &&
+    link.pathname.startsWith(directory.pathname)
+  );
+}
+
+/**
+ * Get the local directory of a link, relative to the root directory of the harvest
+ *
+ * Links outside the root directory (or on another origin) go to the root itself.
+ * @param {string} url - Link URL
+ * @param {string} rootDirectoryUrl - URL of the root directory (see `getDirectoryUrl`)
+ * @returns {string} Relative directory with sanitized segments, joined by `/` (empty for the root)
+ */
+function getRelativeDirectory(url, rootDirectoryUrl) {
+  const link = new URL(url);
+  const root = new URL(rootDirectoryUrl);
+  if (link.origin !== root.origin || !link.pathname.startsWith(root.pathname)) return "";
+
+  const segments = link.pathname.slice(root.pathname.length).split("/").slice(0, -1);
+  return segments
+    .filter((segment) => segment !== "")
+    .map((segment) => sanitizeFileName(safeDecode(segment)))
+    .join("/");
+}
+
+module.exports = {
+  LINK_PROTOCOLS,
+  extractLinks,
+  globToRegExp,
+  createLinkFilter,
+  getDirectoryUrl,
+  isSubdirectoryLink,
+  getRelativeDirectory,
+};
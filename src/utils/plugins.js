@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Plugin helpers: hook names, plugin validation and running the hooks of a download
+ * @module utils/plugins
+ */
+
+const { DownloadError, PluginError } = require("../errors/download-errors");
+
+/**
+ * Hooks a plugin can implement
+ * @type {Array<string>}
+ */
+const PLUGIN_HOOKS = ["beforeRequest", "afterResponse", "transformStream", "beforeWrite", "afterComplete", "onError"];
+
+/**
+ * Hooks whose returned object is merged into their payload
+ * @type {Array<string>}
+ */
+const MERGING_HOOKS = ["beforeRequest", "beforeWrite", "afterComplete"];
+
+/**
+ * A download plugin: an object implementing some of the `PLUGIN_HOOKS`
+ * @typedef {Object} Plugin
+ * @property {string} [name] - Plugin name, used in error messages
+ * @property {Function} [beforeRequest] - `(request, item)` before each attempt; may change `request.url` and `request.headers`
+ * @property {Function} [afterResponse] - `(response, item)` before any data is written; throws to reject the response
+ * @property {Function} [transformStream] - `(response, item)` returning Transform streams the data goes through, or null
+ * @property {Function} [beforeWrite] - `(target, item)` once the file path is known; may change `target.filePath`
+ * @property {Function} [afterComplete] - `(result, item)` after a successful download; may change the result
+ * @property {Function} [onError] - `(error, item)` after a failed download
+ */
+
+/**
+ * Check that a value is a plugin
+ * @param {Plugin} plugin - Plugin
+ * @throws {TypeError} If the plugin is not an object, implements no hook, or has a hook that is not a function
+ */
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== "object") throw new TypeError(`Plugin must be an object with hooks (${PLUGIN_HOOKS.join(", ")})`);
+
+  const hooks = PLUGIN_HOOKS.filter((hook) => plugin[hook] !== undefined);
+  if (hooks.length === 0) throw new TypeError(`Plugin ${getPluginName(plugin)} has no hook (expected ${PLUGIN_HOOKS.join(", ")})`);
+
+  for (const hook of hooks) {
+    if (typeof plugin[hook] !== "function") throw new TypeError(`Hook ${hook} of plugin ${getPluginName(plugin)} must be a function`);
+  }
+}
+
+/**
+ * Get the name of a plugin for messages
+ * @param {Plugin} plugin - Plugin
+ * @returns {string} Quoted name, or `(anonymous)`
+ */
+function getPluginName(plugin) {
+  return plugin.name ? `'${plugin.name}'` : "(anonymous)";
+}
+
+/**
+ * Call a hook of a plugin, wrapping what it throws into a `PluginError`
+ * @param {Plugin} plugin - Plugin
+ * @param {string} hook - Hook name
+ * @param {Object} payload - First argument of the hook
+ * @param {Object} item - Fields of the download (`downloadId`, `batchId`, `id`, `index`, `url`...)
+ * @returns {Promise<*>} Value returned by the hook
+ * @throws {DownloadError} What the hook threw, if it is a `DownloadError`, or a `PluginError` wrapping it
+ */
+async function callHook(plugin, hook, payload, item) {
+  try {
+    return await plugin[hook](payload, item);
+  } catch (error) {
+    if (error instanceof DownloadError) throw error;
+    throw new PluginError(`Plugin ${getPluginName(plugin)} failed in ${hook}`, plugin.name || null, hook, error instanceof Error ? error : new Error(String(error)));
+  }
+}
+
+/**
+ * Run a hook of every plugin, in registration order
+ *
+ * For merging hooks, an object returned by a plugin is merged into the payload the next plugin receives.
+ * @param {Array<Plugin>} plugins - Registered plugins
+ * @param {string} hook - Hook name
+ * @param {Object} payload - First argument of the hook
+ * @param {Object} item - Fields of the download
+ * @returns {Promise<Object>} The payload, with the changes of the plugins
+ * @throws {DownloadError} If a hook throws
+ */
+async function runHooks(plugins, hook, payload, item) {
+  for (const plugin of plugins) {
+    if (typeof plugin[hook] !== "function") continue;
+
+    const returned = await callHook(plugin, hook, payload, item);
+    if (MERGING_HOOKS.includes(hook) && returned && typeof returned === "object") Object.assign(payload, returned);
+  }
+
+  return payload;
+}
+
+/**
+ * Collect the Transform streams the plugins insert between the response and the file
+ * @param {Array<Plugin>} plugins - Registered plugins
+ * @param {Object} response - Response details given to the hooks
+ * @param {Object} item - Fields of the download
+ * @returns {Promise<Array<Duplex>>} Streams, in the order the data goes through them
+ * @throws {DownloadError} If a hook throws or returns something else than streams
+ */
+async function collectTransforms(plugins, response, item) {
+  const transforms = [];
+
+  for (const plugin of plugins) {
+    if (typeof plugin.transformStream !== "function") continue;
+
+    const returned = await callHook(plugin, "transformStream", response, item);
+    for (const stream of [returned].flat()) {
+      if (stream === null || stream === undefined) continue;
+      if (typeof stream.pipe !== "function" || typeof stream.write !== "function") {
+        throw new PluginError(`Plugin ${getPluginName(plugin)} failed in transformStream: expected Transform streams, got ${typeof stream}`, plugin.name || null, "transformStream", null);
+      }
+      transforms.push(stream);
+    }
+  }
+
+  return transforms;
+}
+
+module.exports = {
+  PLUGIN_HOOKS,
+  validatePlugin,
+  runHooks,
+  collectTransforms,
+};
@@ -4,8 +4,69 @@
  */
 
 const { set } = require("ansi-color");
-const { SingleBar } = require("cli-progress");
-const { secondsToDuration } = require("@el-zazo/main-utils");
+const { SingleBar, MultiBar } = require("cli-progress");
+const { formatBytes, formatSpeed, formatEta } = require("./format");
+
+/**
+ * Default line template of a download with a known size
+ *
+ * Available tokens: `{i}`, `{bar}`, `{percentage}`, `{remaining}`, `{received}`, `{size}`, `{speed}`
+ * @type {string}
+ */
+const DEFAULT_FORMAT = "{i} | {bar} | {percentage}% | ETA: {remaining} | {received}/{size} | Speed: {speed}";
+
+/**
+ * Default line template of a download with an unknown size
+ *
+ * Available tokens: `{i}`, `{spinner}`, `{received}`, `{speed}`
+ * @type {string}
+ */
+const DEFAULT_INDETERMINATE_FORMAT = "{i} | {spinner} | {received} | Speed: {speed}";
+
+/**
+ * Default line template of the overall batch progress
+ *
+ * Available tokens: `{bar}`, `{percentage}`, `{completed}`, `{total}`, `{failed}`, `{received}`, `{speed}`
+ * @type {string}
+ */
+const DEFAULT_BATCH_FORMAT = "Total | {bar} | {completed}/{total} files | {received} | Speed: {speed}";
+
+/**
+ * Spinner frames used for downloads with an unknown size
+ * @type {Array<string>}
+ */
+const SPINNER_FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+
+/**
+ * Build the cli-progress configuration shared by single and multi bars
+ * @param {Object} options - Progress bar options
+ * @param {string} [options.barColor='cyan'] - Color of the progress bar
+ * @param {string} [options.barCompleteChar='\u2588'] - Character for completed portion of bar
+ * @param {string} [options.barIncompleteChar='\u2591'] - Character for incomplete portion of bar
+ * @returns {Object} cli-progress options
+ */
+function buildConfig(options = {}) {
+  const { barCompleteChar = "\u2588", barIncompleteChar = "\u2591" } = options;
+
+  return {
+    format: buildFormat(DEFAULT_FORMAT, options),
+    barCompleteChar,
+    barIncompleteChar,
+    hideCursor: true,
+  };
+}
+
+/**
+ * Apply the bar color to a line template
+ * @param {string} template - Line template
+ * @param {Object} options - Progress bar options
+ * @param {string} [options.barColor='cyan'] - Color of the progress bar
+ * @returns {string} cli-progress format
+ */
+function buildFormat(template, options = {}) {
+  const { barColor = "cyan" } = options;
+  return template.replace("{bar}", set("{bar}", barColor));
+}
 
 /**
  * Creates and manages a progress bar for download operations
@@ -18,60 +79,70 @@ class ProgressBar {
    * @param {string} [options.barColor='cyan'] - Color of the progress bar
    * @param {string} [options.barCompleteChar='\u2588'] - Character for completed portion of bar
    * @param {string} [options.barIncompleteChar='\u2591'] - Character for incomplete portion of bar
+   * @param {string} [options.format] - Line template for downloads with a known size
+   * @param {string} [options.indeterminateFormat] - Line template for downloads with an unknown size
+   * @param {MultiBar} [options.multiBar=null] - Shared container to render this bar in (concurrent downloads)
    */
   constructor(options = {}) {
-    const { barColor = "cyan", barCompleteChar = "\u2588", barIncompleteChar = "\u2591" } = options;
+    const { multiBar = null, format = DEFAULT_FORMAT, indeterminateFormat = DEFAULT_INDETERMINATE_FORMAT } = options;
 
     // Configuration
-    const bar = set("{bar}", barColor);
-    const format = `{i} | ${bar} | {percentage}% | ETA: {eta} | {value}/{total} MB | Speed: {speed}MB/s`;
+    this.config = buildConfig(options);
+    this.format = buildFormat(format, options);
+    this.indeterminateFormat = buildFormat(indeterminateFormat, options);
+    this.multiBar = multiBar;
 
-    this.config = {
-      format,
-      barCompleteChar,
-      barIncompleteChar,
-      hideCursor: true,
-    };
-
-    // Create the progress bar
-    this.bar = new SingleBar(this.config);
+    // The bar is created on start, once we know whether the size is known
+    this.bar = null;
 
     // Initialize state
-    this.totalSize = 0;
-    this.startTime = 0;
-    this.totalSizeMB = 0;
+    this.indeterminate = false;
+    this.spinnerFrame = 0;
+    this.totalBytes = 0;
     this.isActive = false;
   }
 
   /**
    * Start the progress bar
-   * @param {Object} data - Response data with headers
-   * @param {number} [barNumber=1] - Number to display for this bar (useful for multiple downloads)
+   * @param {Object} event - Download `start` event
+   * @param {number} [event.downloadNumber=1] - Number to display for this bar (useful for multiple downloads)
+   * @param {number} [event.bytesReceived=0] - Bytes already on disk before this transfer (resumed downloads)
+   * @param {number|null} [event.totalBytes=null] - Expected total size in bytes, or null if unknown
    * @throws {Error} If the progress bar is already active
    */
-  start(data, barNumber = 1) {
+  start(event) {
+    const { downloadNumber = 1, bytesReceived = 0, totalBytes = null } = event;
+
     if (this.isActive) {
       throw new Error("Progress bar is already active");
     }
 
-    // Initialize parameters
-    this.totalSize = 0;
-    this.startTime = Date.now();
     this.isActive = true;
 
     try {
-      // Get file size from content-length header
-      const contentLength = parseInt(data.headers["content-length"], 10) || 0;
+      // Without a size, show a spinner and the bytes counted so far
+      this.indeterminate = !(totalBytes > 0);
+      this.totalBytes = this.indeterminate ? 1 : totalBytes;
+      this.spinnerFrame = 0;
 
-      // Convert total size to megabytes
-      this.totalSizeMB = (contentLength / (1024 * 1024)).toFixed(2);
+      const format = this.indeterminate ? this.indeterminateFormat : this.format;
+      const startValue = this.indeterminate ? 0 : bytesReceived;
+      const payload = {
+        i: downloadNumber,
+        spinner: SPINNER_FRAMES[0],
+        received: formatBytes(bytesReceived),
+        size: formatBytes(totalBytes),
+        speed: "N/A",
+        remaining: formatEta(null),
+      };
 
       // Start the progress bar
-      this.bar.start(this.totalSizeMB, 0, {
-        i: barNumber,
-        speed: "N/A",
-        eta: "00:00:00",
-      });
+      if (this.multiBar) {
+        this.bar = this.multiBar.create(this.totalBytes, startValue, payload, { format });
+      } else {
+        this.bar = new SingleBar({ ...this.config, format });
+        this.bar.start(this.totalBytes, startValue, payload);
+      }
     } catch (error) {
       this.isActive = false;
       throw new Error(`Failed to start progress bar: ${error.message}`);
@@ -79,30 +150,26 @@ class ProgressBar {
   }
 
   /**
-   * Update the progress bar with new chunk data
-   * @param {Buffer} chunk - Data chunk received
+   * Update the progress bar from a progress event
+   * @param {ProgressSnapshot} event - Download `progress` event
    */
-  update(chunk) {
+  update(event) {
     if (!this.isActive) return;
 
     try {
-      // Increment downloaded size
-      this.totalSize += chunk.length;
-
-      // Convert downloaded size to MB
-      const downloadedSizeMB = parseFloat((this.totalSize / (1024 * 1024)).toFixed(2));
-
-      // Calculate download speed
-      const elapsedTime = (Date.now() - this.startTime) / 1000;
-      const speed = (downloadedSizeMB / elapsedTime).toFixed(2);
-
-      // Calculate ETA (Estimated Time of Arrival)
-      const remainingSizeMB = this.totalSizeMB - downloadedSizeMB;
-      const estimatedTimeRemaining = (remainingSizeMB * elapsedTime) / downloadedSizeMB;
-      const eta = secondsToDuration(estimatedTimeRemaining);
+      const payload = {
+        received: formatBytes(event.bytesReceived),
+        speed: formatSpeed(event.speed),
+        remaining: formatEta(event.eta),
+      };
 
       // Update the progress bar
-      this.bar.update(downloadedSizeMB, { speed, eta });
+      if (this.indeterminate) {
+        this.spinnerFrame = (this.spinnerFrame + 1) % SPINNER_FRAMES.length;
+        this.bar.update(0, { ...payload, spinner: SPINNER_FRAMES[this.spinnerFrame] });
+      } else {
+        this.bar.update(Math.min(event.bytesReceived, this.totalBytes), payload);
+      }
     } catch (error) {
       // Silently handle errors during update to prevent download interruption
       console.error(`Progress bar update error: ${error.message}`);
@@ -115,7 +182,8 @@ class ProgressBar {
   stop() {
     if (this.isActive) {
       try {
-        this.bar.stop();
+        if (this.multiBar) this.multiBar.remove(this.bar);
+        else this.bar.stop();
       } catch (error) {
         console.error(`Error stopping progress bar: ${error.message}`);
       } finally {
@@ -123,6 +191,66 @@ class ProgressBar {
       }
     }
   }
+
+  /**
+   * Create a container that renders several progress bars at once
+   * @param {Object} [options={}] - Progress bar options (same as the constructor)
+   * @returns {MultiBar} cli-progress multi bar to pass as `multiBar`
+   */
+  static createMultiBar(options = {}) {
+    return new MultiBar(buildConfig(options));
+  }
+}
+
+/**
+ * Overall progress line of a batch, rendered inside a multi bar
+ * @class BatchProgressBar
+ */
+class BatchProgressBar {
+  /**
+   * Create a new BatchProgressBar instance
+   * @param {Object} options - Progress bar options
+   * @param {MultiBar} options.multiBar - Container to render this bar in
+   * @param {string} [options.batchFormat] - Line template for the batch line
+   * @param {string} [options.barColor='cyan'] - Color of the progress bar
+   */
+  constructor(options) {
+    const { multiBar, batchFormat = DEFAULT_BATCH_FORMAT } = options;
+
+    this.multiBar = multiBar;
+    this.format = buildFormat(batchFormat, options);
+    this.bar = null;
+  }
+
+  /**
+   * Start the batch line
+   * @param {Object} event - `batchStart` event
+   * @param {number} event.total - Number of items in the batch
+   */
+  start(event) {
+    this.bar = this.multiBar.create(event.total, 0, { completed: 0, total: event.total, failed: 0, received: formatBytes(0), speed: "N/A" }, { format: this.format });
+  }
+
+  /**
+   * Update the batch line
+   * @param {Object} event - `batchProgress` event
+   */
+  update(event) {
+    if (!this.bar) return;
+
+    this.bar.update(event.completed, {
+      completed: event.completed,
+      failed: event.failed,
+      received: formatBytes(event.bytesReceived),
+      speed: formatSpeed(event.averageSpeed),
+    });
+  }
 }
 
-module.exports = { ProgressBar };
+module.exports = {
+  ProgressBar,
+  BatchProgressBar,
+  DEFAULT_FORMAT,
+  DEFAULT_INDETERMINATE_FORMAT,
+  DEFAULT_BATCH_FORMAT,
+};
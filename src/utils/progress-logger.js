@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Plain-text progress renderer for non-TTY output (CI logs)
+ * @module utils/progress-logger
+ */
+
+const { formatBytes, formatSpeed, formatEta } = require("./format");
+
+/**
+ * Writes periodic progress log lines by subscribing to the events of a Download instance
+ *
+ * Unlike progress bars, lines are never redrawn, so the output stays readable in log files.
+ * @class ProgressLogger
+ */
+class ProgressLogger {
+  /**
+   * Create a new ProgressLogger instance
+   * @param {Object} [options={}] - Logger options
+   * @param {number} [options.interval=5000] - Time between two rounds of log lines in milliseconds
+   * @param {Writable} [options.stream=process.stdout] - Stream the lines are written to
+   */
+  constructor(options = {}) {
+    const { interval = 5000, stream = process.stdout } = options;
+
+    this.interval = interval;
+    this.stream = stream;
+    this.downloads = new Map();
+    this.batches = new Map();
+    this.timer = null;
+
+    this.handlers = {
+      batchStart: (event) => this.#track(this.batches, event.batchId, { ...event, completed: 0, failed: 0, bytesReceived: 0, averageSpeed: 0 }),
+      batchProgress: (event) => this.#track(this.batches, event.batchId, { ...this.batches.get(event.batchId), ...event }),
+      batchComplete: (event) => this.#untrack(this.batches, event.batchId),
+      start: (event) => this.#track(this.downloads, event.downloadId, { ...event, speed: 0, eta: null }),
+      progress: (event) => this.#track(this.downloads, event.downloadId, event),
+      // A segment retry happens while the rest of the download goes on: it stays tracked
+      retry: (event) => event.segment === undefined && this.#untrack(this.downloads, event.downloadId),
+      complete: (event) => this.#untrack(this.downloads, event.downloadId),
+      error: (event) => this.#untrack(this.downloads, event.downloadId),
+    };
+  }
+
+  /**
+   * Messages never need to be deferred, since log lines are not redrawn
+   * @returns {boolean} Always false
+   */
+  defersMessages() {
+    return false;
+  }
+
+  /**
+   * Subscribe to the events of a Download instance
+   * @param {EventEmitter} emitter - Download instance
+   * @returns {ProgressLogger} This logger
+   */
+  attach(emitter) {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      emitter.on(event, handler);
+    }
+    return this;
+  }
+
+  /**
+   * Unsubscribe from the events of a Download instance
+   * @param {EventEmitter} emitter - Download instance
+   */
+  detach(emitter) {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      emitter.off(event, handler);
+    }
+
+    this.downloads.clear();
+    this.batches.clear();
+    this.#stopTimer();
+  }
+
+  /**
+   * Write one line per active batch and download
+   */
+  flush() {
+    for (const batch of this.batches.values()) {
+      const failed = batch.failed > 0 ? ` (${batch.failed} failed)` : "";
+      this.#write(`Batch: ${batch.completed}/${batch.total} files done${failed}, ${formatBytes(batch.bytesReceived)} received, ${formatSpeed(batch.averageSpeed)}`);
+    }
+
+    for (const download of this.downloads.values()) {
+      const name = download.filePath ? download.filePath.split(/[\\/]/).pop() : download.url;
+      const progress =
+        download.totalBytes > 0
+          ? `${(download.percent || 0).toFixed(1)}% (${formatBytes(download.bytesReceived)}/${formatBytes(download.totalBytes)}) ${formatSpeed(download.speed)} ETA ${formatEta(download.eta)}`
+          : `${formatBytes(download.bytesReceived)} ${formatSpeed(download.speed)}`;
+
+      this.#write(`[${download.downloadNumber}] ${name} ${progress}`);
+    }
+  }
+
+  /**
+   * Store the latest state of a download or batch, and make sure the timer runs
+   * @private
+   * @param {Map} map - Map of tracked items
+   * @param {number} key - Item identifier
+   * @param {Object} state - Latest state
+   */
+  #track(map, key, state) {
+    map.set(key, state);
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.flush(), this.interval);
+
+      // Logging alone must not keep the process alive
+      if (this.timer.unref) this.timer.unref();
+    }
+  }
+
+  /**
+   * Forget a finished download or batch, and stop the timer when nothing is left
+   * @private
+   * @param {Map} map - Map of tracked items
+   * @param {number} key - Item identifier
+   */
+  #untrack(map, key) {
+    map.delete(key);
+    if (this.downloads.size === 0 && this.batches.size === 0) this.#stopTimer();
+  }
+
+  /**
+   * Stop the log timer
+   * @private
+   */
+  #stopTimer() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Write a log line
+   * @private
+   * @param {string} line - Line to write
+   */
+  #write(line) {
+    this.stream.write(`${line}\n`);
+  }
+}
+
+module.exports = { ProgressLogger };
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Terminal progress renderer driven by download events
+ * @module utils/progress-renderer
+ */
+
+const { ProgressBar, BatchProgressBar } = require("./progress-bar");
+
+/**
+ * Renders download progress in the terminal by subscribing to the events of a Download instance
+ *
+ * Parallel batches get one line per active download plus an overall batch line.
+ * @class ProgressRenderer
+ */
+class ProgressRenderer {
+  /**
+   * Create a new ProgressRenderer instance
+   * @param {Object} [options={}] - Progress bar options (see ProgressBar and BatchProgressBar)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.bars = new Map();
+    this.multiBars = new Map();
+    this.batchBars = new Map();
+
+    this.handlers = {
+      batchStart: (event) => this.#onBatchStart(event),
+      batchProgress: (event) => this.batchBars.get(event.batchId)?.update(event),
+      start: (event) => this.#onStart(event),
+      progress: (event) => this.bars.get(event.downloadId)?.update(event),
+      // A segment retry happens while the rest of the download goes on: its bar stays
+      retry: (event) => event.segment === undefined && this.#stopBar(event.downloadId),
+      complete: (event) => this.#stopBar(event.downloadId),
+      error: (event) => this.#stopBar(event.downloadId),
+      batchComplete: (event) => this.#onBatchComplete(event),
+    };
+  }
+
+  /**
+   * Whether messages must be deferred during a batch, because it is rendered with one line per active download
+   * @param {Object} batch - Batch information
+   * @param {number} batch.concurrency - Number of parallel downloads
+   * @param {number} batch.total - Number of items in the batch
+   * @returns {boolean} True if the batch uses a multi bar
+   */
+  defersMessages(batch) {
+    return batch.concurrency > 1 && batch.total > 1 && Boolean(process.stdout.isTTY);
+  }
+
+  /**
+   * Subscribe to the events of a Download instance
+   * @param {EventEmitter} emitter - Download instance
+   * @returns {ProgressRenderer} This renderer
+   */
+  attach(emitter) {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      emitter.on(event, handler);
+    }
+    return this;
+  }
+
+  /**
+   * Unsubscribe from the events of a Download instance and stop every active bar
+   * @param {EventEmitter} emitter - Download instance
+   */
+  detach(emitter) {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      emitter.off(event, handler);
+    }
+
+    for (const downloadId of [...this.bars.keys()]) this.#stopBar(downloadId);
+    for (const multiBar of this.multiBars.values()) multiBar.stop();
+    this.multiBars.clear();
+    this.batchBars.clear();
+  }
+
+  /**
+   * Create the multi bar of a parallel batch
+   * @private
+   * @param {Object} event - `batchStart` event
+   */
+  #onBatchStart(event) {
+    if (!this.defersMessages(event)) return;
+
+    const multiBar = ProgressBar.createMultiBar(this.options);
+    const batchBar = new BatchProgressBar({ ...this.options, multiBar });
+    batchBar.start(event);
+
+    this.multiBars.set(event.batchId, multiBar);
+    this.batchBars.set(event.batchId, batchBar);
+  }
+
+  /**
+   * Start a bar for a download attempt
+   * @private
+   * @param {Object} event - `start` event
+   */
+  #onStart(event) {
+    this.#stopBar(event.downloadId);
+
+    const multiBar = this.multiBars.get(event.batchId) || null;
+    const bar = new ProgressBar({ ...this.options, multiBar });
+    bar.start(event);
+    this.bars.set(event.downloadId, bar);
+  }
+
+  /**
+   * Stop and forget the bar of a download
+   * @private
+   * @param {number} downloadId - Download identifier
+   */
+  #stopBar(downloadId) {
+    const bar = this.bars.get(downloadId);
+    if (!bar) return;
+
+    bar.stop();
+    this.bars.delete(downloadId);
+  }
+
+  /**
+   * Stop the multi bar of a finished batch
+   * @private
+   * @param {Object} event - `batchComplete` event
+   */
+  #onBatchComplete(event) {
+    const multiBar = this.multiBars.get(event.batchId);
+    if (!multiBar) return;
+
+    multiBar.stop();
+    this.multiBars.delete(event.batchId);
+    this.batchBars.delete(event.batchId);
+  }
+}
+
+module.exports = { ProgressRenderer };
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Transfer statistics (speed, ETA, percent) for progress events
+ * @module utils/progress-tracker
+ */
+
+/**
+ * Progress statistics of a transfer
+ * @typedef {Object} ProgressSnapshot
+ * @property {number} bytesReceived - Bytes received, including resumed bytes
+ * @property {number|null} totalBytes - Expected total size, or null if unknown
+ * @property {number|null} percent - Completion percentage (0-100), or null if the size is unknown
+ * @property {number} speed - Instantaneous speed in bytes per second
+ * @property {number} averageSpeed - Average speed since the start in bytes per second
+ * @property {number|null} eta - Estimated remaining time in seconds, or null if unknown
+ * @property {number} elapsed - Time since the start in milliseconds
+ */
+
+/**
+ * Time window used to compute the instantaneous speed, in milliseconds
+ * @type {number}
+ */
+const SPEED_WINDOW = 1000;
+
+/**
+ * Tracks the bytes received by a transfer and computes progress statistics
+ * @class ProgressTracker
+ */
+class ProgressTracker {
+  /**
+   * Create a new ProgressTracker instance
+   * @param {Object} [options={}] - Tracker options
+   * @param {number|null} [options.totalBytes=null] - Expected total size in bytes, or null if unknown
+   * @param {number} [options.offset=0] - Bytes already received before this transfer (resumed downloads)
+   */
+  constructor(options = {}) {
+    const { totalBytes = null, offset = 0 } = options;
+
+    this.totalBytes = totalBytes;
+    this.offset = offset;
+    this.transferredBytes = 0;
+    this.startTime = Date.now();
+    this.samples = [{ time: this.startTime, bytes: 0 }];
+  }
+
+  /**
+   * Record received bytes
+   * @param {number} length - Number of bytes received
+   * @returns {ProgressSnapshot} Current statistics
+   */
+  update(length) {
+    const now = Date.now();
+    this.transferredBytes += length;
+
+    // Keep one sample older than the window so the speed covers the whole window
+    this.samples.push({ time: now, bytes: this.transferredBytes });
+    while (this.samples.length > 2 && now - this.samples[1].time > SPEED_WINDOW) {
+      this.samples.shift();
+    }
+
+    return this.snapshot();
+  }
+
+  /**
+   * Get the current statistics
+   * @returns {ProgressSnapshot} Current statistics
+   */
+  snapshot() {
+    const now = Date.now();
+    const elapsed = now - this.startTime;
+    const bytesReceived = this.offset + this.transferredBytes;
+
+    const oldest = this.samples[0];
+    const windowTime = (now - oldest.time) / 1000;
+    const speed = windowTime > 0 ? (this.transferredBytes - oldest.bytes) / windowTime : 0;
+    const averageSpeed = elapsed > 0 ? this.transferredBytes / (elapsed / 1000) : 0;
+
+    const hasTotal = typeof this.totalBytes === "number" && this.totalBytes > 0;
+    const percent = hasTotal ? Math.min(100, (bytesReceived / this.totalBytes) * 100) : null;
+    const rate = speed || averageSpeed;
+    const eta = hasTotal && rate > 0 ? Math.max(0, (this.totalBytes - bytesReceived) / rate) : null;
+
+    return {
+      bytesReceived,
+      totalBytes: hasTotal ? this.totalBytes : null,
+      percent,
+      speed,
+      averageSpeed,
+      eta,
+      elapsed,
+    };
+  }
+}
+
+module.exports = { ProgressTracker };
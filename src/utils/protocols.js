@@ -0,0 +1,145 @@
+/**
+ * @fileoverview URL scheme helpers and the built-in `file:` and `data:` protocol handlers
+ * @module utils/protocols
+ */
+
+const { createReadStream, promises: fsPromises } = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { fileURLToPath } = require("url");
+
+/**
+ * Result of a protocol handler
+ * @typedef {Object} ProtocolResult
+ * @property {Readable} stream - Data stream
+ * @property {number} [size] - Size of the data in bytes (reported as `Content-Length`)
+ * @property {string} [type] - MIME type of the data (reported as `Content-Type`)
+ * @property {string} [name] - File name, used when no file name is given
+ * @property {Date|string} [lastModified] - Modification date (reported as `Last-Modified`)
+ * @property {number} [status=200] - HTTP-like status (`206` for partial content)
+ * @property {Object} [headers] - HTTP-like response headers (`Content-Range`, `Accept-Ranges`, `ETag`...)
+ * @property {Object} [request] - Underlying HTTP request, when there is one
+ */
+
+/**
+ * Protocol handler: opens a URL and returns its data stream with metadata
+ * @callback ProtocolHandler
+ * @param {string} url - URL to open
+ * @param {Object} options - Fetch options
+ * @param {Object} options.headers - Request headers (e.g. `Range`; handlers may ignore them)
+ * @param {AbortSignal} [options.signal] - Signal aborted when the download is cancelled
+ * @returns {Promise<ProtocolResult>|ProtocolResult} Data stream and metadata
+ */
+
+/**
+ * Get the scheme of a URL
+ *
+ * Single letters are not schemes, so Windows paths like `C:\file` have none.
+ * @param {string} url - URL
+ * @returns {string|null} Lower-case scheme without the colon (e.g. `https`), or null if there is none
+ */
+function getUrlScheme(url) {
+  const match = /^([a-z][a-z0-9+.-]+):/i.exec(String(url));
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Normalize a scheme given as `artifact`, `artifact:` or `ARTIFACT`
+ * @param {string} scheme - Scheme
+ * @returns {string} Lower-case scheme without the colon
+ */
+function normalizeScheme(scheme) {
+  return String(scheme).trim().replace(/:$/, "").toLowerCase();
+}
+
+/**
+ * Convert the result of a protocol handler to the HTTP-like response used by downloads
+ * @param {ProtocolResult} result - Handler result
+ * @returns {{status: number, headers: Object, data: Readable, request: Object|null, fileName: string|null}} Response
+ * @throws {TypeError} If the result has no readable stream
+ */
+function toProtocolResponse(result) {
+  const { stream, size = null, type = null, name = null, lastModified = null, status = 200, request = null } = result || {};
+  if (!stream || typeof stream.pipe !== "function") throw new TypeError("Protocol handler did not return a readable stream");
+
+  const headers = {};
+  for (const [headerName, value] of Object.entries(result.headers || {})) headers[headerName.toLowerCase()] = value;
+
+  if (size !== null && headers["content-length"] === undefined) headers["content-length"] = String(size);
+  if (type && headers["content-type"] === undefined) headers["content-type"] = type;
+  if (lastModified && headers["last-modified"] === undefined) {
+    headers["last-modified"] = lastModified instanceof Date ? lastModified.toUTCString() : String(lastModified);
+  }
+
+  return { status, headers, data: stream, request, fileName: name };
+}
+
+/**
+ * Get a request header, whatever its case
+ * @param {Object} headers - Request headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} Header value
+ */
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find((headerName) => headerName.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Open a `file:` URL, honoring `Range` requests so local files can be resumed and segmented
+ * @type {ProtocolHandler}
+ */
+async function fileProtocol(url, options = {}) {
+  const filePath = fileURLToPath(url);
+  const stats = await fsPromises.stat(filePath);
+  if (!stats.isFile()) throw new Error(`Not a file: ${filePath}`);
+
+  const lastModified = stats.mtime.toUTCString();
+  const result = { size: stats.size, name: path.basename(filePath), lastModified, headers: { "accept-ranges": "bytes" } };
+
+  // A range is ignored when the file changed since the validator was taken (like HTTP `If-Range`)
+  const range = /^bytes=(\d+)-(\d*)$/.exec(getHeader(options.headers, "range") || "");
+  const ifRange = getHeader(options.headers, "if-range");
+
+  if (range && (!ifRange || ifRange === lastModified)) {
+    const start = parseInt(range[1], 10);
+    const end = range[2] ? Math.min(parseInt(range[2], 10), stats.size - 1) : stats.size - 1;
+
+    if (start >= stats.size || end < start) {
+      const error = new Error(`Range not satisfiable: ${range[0]}`);
+      error.response = { status: 416, headers: { "content-range": `bytes */${stats.size}` } };
+      throw error;
+    }
+
+    result.status = 206;
+    result.size = end - start + 1;
+    result.headers["content-range"] = `bytes ${start}-${end}/${stats.size}`;
+    result.stream = createReadStream(filePath, { start, end });
+    return result;
+  }
+
+  result.stream = createReadStream(filePath);
+  return result;
+}
+
+/**
+ * Open a `data:` URL (RFC 2397), plain or base64
+ * @type {ProtocolHandler}
+ */
+function dataProtocol(url) {
+  const match = /^data:([^,]*?)(;base64)?,(.*)$/is.exec(url);
+  if (!match) throw new Error("Invalid data URL");
+
+  const [, type, base64, payload] = match;
+  const data = base64 ? Buffer.from(decodeURIComponent(payload), "base64") : Buffer.from(decodeURIComponent(payload), "utf8");
+
+  return { stream: Readable.from([data]), size: data.length, type: type || "text/plain;charset=US-ASCII" };
+}
+
+module.exports = {
+  getUrlScheme,
+  normalizeScheme,
+  toProtocolResponse,
+  fileProtocol,
+  dataProtocol,
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Retry helpers: error classification and exponential backoff
+ * @module utils/retry
+ */
+
+/**
+ * Network error codes that usually indicate a transient failure
+ * @type {Set<string>}
+ */
+const RETRYABLE_ERROR_CODES = new Set(["ECONNRESET", "ECONNABORTED", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH"]);
+
+/**
+ * Find the HTTP response attached to a download error, if any
+ * @param {Error} error - Download error
+ * @returns {Object|null} Axios response
+ */
+function getErrorResponse(error) {
+  return error?.originalError?.response || error?.response || null;
+}
+
+/**
+ * Classify an error as retryable or not
+ *
+ * Timeouts, connection resets and HTTP 408/429/5xx are retryable.
+ * Any other HTTP status (e.g. 403, 404) and file system errors are not.
+ * @param {Error} error - Download error
+ * @returns {boolean} True if the operation can be retried
+ */
+function isRetryableError(error) {
+  const response = getErrorResponse(error);
+  if (response) {
+    const { status } = response;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  const cause = error?.originalError || error;
+  if (RETRYABLE_ERROR_CODES.has(cause?.code)) return true;
+
+  // Connections closed by the server mid-stream
+  return cause?.message === "aborted" || cause?.code === "ERR_STREAM_PREMATURE_CLOSE";
+}
+
+/**
+ * Read the `Retry-After` header of a failed response
+ * @param {Error} error - Download error
+ * @returns {number|null} Delay in milliseconds, or null if the header is missing or invalid
+ */
+function getRetryAfter(error) {
+  const value = getErrorResponse(error)?.headers?.["retry-after"];
+  if (value === undefined || value === null || value === "") return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} options - Retry options
+ * @param {number} options.minDelay - Delay after the first failure in milliseconds
+ * @param {number} options.maxDelay - Upper bound for the delay in milliseconds, `Retry-After` included
+ * @param {number} options.factor - Multiplier applied after each failure
+ * @param {boolean} options.jitter - Randomize the delay between 0 and the computed value ("full jitter")
+ * @param {Error} [error] - Error of the failed attempt, used to honour `Retry-After`
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, options, error) {
+  const { minDelay, maxDelay, factor, jitter } = options;
+
+  const backoff = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+  const delay = jitter ? Math.round(Math.random() * backoff) : backoff;
+
+  // The server knows best when it will be ready again, but a long Retry-After must not stall the download
+  const retryAfter = getRetryAfter(error);
+  return retryAfter !== null ? Math.min(maxDelay, Math.max(delay, retryAfter)) : delay;
+}
+
+/**
+ * Wait for a given time
+ * @param {number} ms - Time to wait in milliseconds
+ * @param {AbortSignal} [signal] - Signal that ends the wait early when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  isRetryableError,
+  getRetryAfter,
+  getRetryDelay,
+  sleep,
+};
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Bandwidth limiting with token buckets
+ * @module utils/throttle
+ */
+
+const { Transform } = require("stream");
+
+/**
+ * Largest piece of data a throttled stream forwards at once, in bytes
+ * @type {number}
+ */
+const MAX_PIECE_SIZE = 16384;
+
+/**
+ * Upper bound of the data buffered between the socket and a throttled stream, in bytes
+ * @type {number}
+ */
+const BUFFERED_BYTES = 128 * 1024;
+
+/**
+ * Token bucket holding up to one second of bytes at a given rate
+ *
+ * The bucket starts empty, so a transfer never starts with a burst above the rate.
+ * Consumers may take more tokens than available: the bucket goes into debt and each
+ * consumer waits until the debt is paid back, so concurrent consumers sharing a bucket
+ * are served in turn and never exceed the rate together.
+ * @class TokenBucket
+ */
+class TokenBucket {
+  /**
+   * Create a new TokenBucket
+   * @param {number} bytesPerSecond - Refill rate in bytes per second
+   */
+  constructor(bytesPerSecond) {
+    this.rate = bytesPerSecond;
+    this.capacity = bytesPerSecond;
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Take tokens from the bucket
+   * @param {number} bytes - Number of bytes to send
+   * @returns {number} Time to wait before sending them, in milliseconds
+   */
+  take(bytes) {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+    this.tokens -= bytes;
+
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+/**
+ * Transform stream passing data through at the rate allowed by one or more token buckets
+ * @class ThrottleStream
+ * @extends Transform
+ */
+class ThrottleStream extends Transform {
+  /**
+   * Create a new ThrottleStream
+   * @param {Array<TokenBucket>} buckets - Buckets every byte is taken from (e.g. a per-download and a shared one)
+   */
+  constructor(buckets) {
+    super();
+
+    this.buckets = buckets;
+    this.pieceSize = Math.max(1, Math.min(MAX_PIECE_SIZE, ...buckets.map((bucket) => Math.floor(bucket.capacity / 4))));
+    this.timer = null;
+  }
+
+  /**
+   * Forward a chunk in pieces, waiting for the buckets between pieces
+   * @param {Buffer} chunk - Data chunk
+   * @param {string} encoding - Chunk encoding (unused for buffers)
+   * @param {Function} callback - Called once the whole chunk has been forwarded
+   */
+  _transform(chunk, encoding, callback) {
+    let position = 0;
+
+    const next = () => {
+      this.timer = null;
+      if (position >= chunk.length) return callback();
+
+      const piece = chunk.subarray(position, position + this.pieceSize);
+      position += piece.length;
+
+      const delay = Math.max(...this.buckets.map((bucket) => bucket.take(piece.length)));
+      if (delay === 0) {
+        this.push(piece);
+        return next();
+      }
+
+      this.timer = setTimeout(() => {
+        this.push(piece);
+        next();
+      }, delay);
+    };
+
+    next();
+  }
+
+  /**
+   * Stop waiting when the stream is destroyed
+   * @param {Error|null} error - Destroy error
+   * @param {Function} callback - Called once destroyed
+   */
+  _destroy(error, callback) {
+    if (this.timer) clearTimeout(this.timer);
+    callback(error);
+  }
+}
+
+/**
+ * Compute the idle timeout of a throttled request
+ *
+ * A throttled response is read slower than it arrives, so its socket stays idle while the
+ * buffered data drains. The timeout is extended by the time needed to drain that buffer.
+ * @param {number} timeout - Idle timeout of unthrottled requests in milliseconds
+ * @param {number} bytesPerSecond - Rate the response is read at
+ * @returns {number} Idle timeout in milliseconds
+ */
+function getThrottledTimeout(timeout, bytesPerSecond) {
+  return timeout + Math.ceil((BUFFERED_BYTES / bytesPerSecond) * 1000);
+}
+
+module.exports = { TokenBucket, ThrottleStream, getThrottledTimeout };
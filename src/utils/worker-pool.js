@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Worker pool for running async tasks with a concurrency limit
+ * @module utils/worker-pool
+ */
+
+/**
+ * Run an async worker over a list of items with at most `concurrency` tasks in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of tasks running at the same time
+ * @param {Function} worker - Async function called as `worker(item, index)`
+ * @returns {Promise<Array>} Worker results, in the same order as `items`
+ */
+async function runWorkerPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const poolSize = Math.max(1, Math.min(Math.floor(concurrency) || 1, items.length));
+  let nextIndex = 0;
+
+  // Each worker keeps taking the next pending item until none are left
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+  return results;
+}
+
+module.exports = { runWorkerPool };
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tests of checksum verification: expected digests, checksum files and corrupted downloads
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { mkdtempSync, writeFileSync, rmSync } = require("fs");
+const { createHash } = require("crypto");
+const { Download, MemoryStorage, ChecksumMismatchError, FileSystemError, InvalidOptionError } = require("../index");
+const { parseChecksumFile } = require("../src/utils/checksum");
+
+const DATA = Buffer.from("checksum test data\n");
+const SHA256 = createHash("sha256").update(DATA).digest("hex");
+const MD5 = createHash("md5").update(DATA).digest("hex");
+const DATA_URL = `data:application/octet-stream;base64,${DATA.toString("base64")}`;
+
+/**
+ * Create a download instance writing to a new memory storage
+ * @returns {{download: Download, storage: MemoryStorage}} Download instance and its storage
+ */
+function createDownload() {
+  const storage = new MemoryStorage();
+  return { download: new Download({ storage, progress: false, silent: true }), storage };
+}
+
+test("parses GNU and BSD checksum files, by path and by file name", () => {
+  const checksums = parseChecksumFile(`${SHA256}  ./dist/app.zip\nMD5 (notes.txt) = ${MD5.toUpperCase()}\n# comment\n`);
+
+  assert.deepEqual(checksums.get("./dist/app.zip"), { algorithm: "sha256", value: SHA256 });
+  assert.deepEqual(checksums.get("app.zip"), { algorithm: "sha256", value: SHA256 });
+  assert.deepEqual(checksums.get("notes.txt"), { algorithm: "md5", value: MD5 });
+});
+
+test("accepts a download matching its checksum", async () => {
+  const { download, storage } = createDownload();
+  const result = await download.downloadOne(DATA_URL, { path: "out", fileName: "data.txt", checksum: { algorithm: "SHA-256", value: SHA256.toUpperCase() } });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.checksum, { algorithm: "sha256", value: SHA256 });
+  assert.deepEqual(storage.readFile(result.filePath), DATA);
+});
+
+test("deletes a download that does not match its checksum", async () => {
+  const { download, storage } = createDownload();
+  const result = await download.downloadOne(DATA_URL, { path: "out", fileName: "data.txt", checksum: { algorithm: "md5", value: "0".repeat(32) } });
+
+  assert.equal(result.success, false);
+  assert.ok(result.error instanceof ChecksumMismatchError);
+  assert.equal(result.error.actual, MD5);
+  assert.equal(result.attempts, 1);
+  assert.deepEqual([...storage.files.keys()], []);
+});
+
+test("quarantines a corrupted download when asked to", async () => {
+  const { download, storage } = createDownload();
+  const checksum = { algorithm: "md5", value: "0".repeat(32) };
+  const result = await download.downloadOne(DATA_URL, { path: "out", fileName: "data.txt", checksum, checksumMismatch: "quarantine" });
+
+  assert.ok(result.error instanceof ChecksumMismatchError);
+  assert.equal(result.error.path, path.join("out", "data.txt.corrupt"));
+  assert.deepEqual([...storage.files.keys()], [path.join("out", "data.txt.corrupt")]);
+});
+
+test("refuses an unsupported algorithm before fetching anything", async () => {
+  const { download, storage } = createDownload();
+  const result = await download.downloadOne(DATA_URL, { path: "out", fileName: "data.txt", checksum: { algorithm: "crc32", value: "00" } });
+
+  assert.ok(result.error instanceof InvalidOptionError);
+  assert.equal(storage.files.size, 0);
+});
+
+test("verifies batch items against the entries of a checksum file", async (t) => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "dld-checksum-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const checksumFile = path.join(dir, "SHA256SUMS");
+  writeFileSync(checksumFile, `${SHA256}  good.txt\n${"0".repeat(64)}  bad.txt\n`);
+
+  const { download } = createDownload();
+  const results = await download.downloadMany(
+    [
+      { url: DATA_URL, path: "out", fileName: "good.txt" },
+      { url: DATA_URL, path: "out", fileName: "bad.txt" },
+      { url: DATA_URL, path: "out", fileName: "unlisted.txt" },
+    ],
+    { checksumFile },
+  );
+
+  assert.equal(results[0].success, true);
+  assert.ok(results[1].error instanceof ChecksumMismatchError);
+  assert.equal(results[2].success, true);
+});
+
+test("downloads nothing when the checksum file cannot be read", async () => {
+  const { download, storage } = createDownload();
+  const checksumFile = path.join(os.tmpdir(), "dld-missing-checksums", "SHA256SUMS");
+  const results = await download.downloadMany([{ url: DATA_URL, path: "out", fileName: "a.txt" }, DATA_URL], { checksumFile });
+
+  assert.equal(results.length, 2);
+  for (const result of results) {
+    assert.equal(result.success, false);
+    assert.ok(result.error instanceof FileSystemError);
+  }
+  assert.equal(storage.files.size, 0);
+});
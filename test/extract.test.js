@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests of archive extraction: entry paths must stay inside the target directory
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { MemoryStorage } = require("../src/lib/memory-storage");
+const { normalizeExtractOptions, extractArchive } = require("../src/utils/extract");
+const { ExtractionError } = require("../src/errors/download-errors");
+
+/**
+ * Build an uncompressed tar archive
+ * @param {Object<string, string>} entries - Content of each entry by entry name
+ * @returns {Buffer} Archive data
+ */
+function createTar(entries) {
+  const blocks = [];
+
+  for (const [name, content] of Object.entries(entries)) {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100, "utf8");
+    header.write("0000644\0", 100);
+    header.write(`${data.length.toString(8).padStart(11, "0")}\0`, 124);
+    header.write("0", 156);
+    header.write("ustar\u000000", 257, "latin1");
+
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+/**
+ * Create a storage holding an archive
+ * @param {string} archivePath - Archive path
+ * @param {Object<string, string>} entries - Entries of the archive (see `createTar`)
+ * @returns {MemoryStorage} Storage
+ */
+function createStorage(archivePath, entries) {
+  const storage = new MemoryStorage();
+  const archive = createTar(entries);
+  storage.files.set(archivePath, { buffer: archive, size: archive.length });
+  return storage;
+}
+
+test("extracts entries into the target directory", async () => {
+  const storage = createStorage(path.join("out", "a.tar"), { "a.txt": "a", "docs/b.txt": "b" });
+  const { files } = await extractArchive(storage, path.join("out", "a.tar"), normalizeExtractOptions({ format: "tar", to: "files" }));
+
+  assert.deepEqual(files, [path.join("files", "a.txt"), path.join("files", "docs", "b.txt")]);
+  assert.equal(storage.readFile(path.join("files", "docs", "b.txt")).toString(), "b");
+});
+
+for (const entryName of ["../evil.txt", "docs/../../evil.txt", "/tmp/evil.txt", "C:/evil.txt", "docs/.."]) {
+  test(`refuses the entry '${entryName}'`, async () => {
+    const storage = createStorage("a.tar", { "good.txt": "good", [entryName]: "evil" });
+    const extraction = extractArchive(storage, "a.tar", normalizeExtractOptions({ format: "tar", to: "files" }));
+
+    await assert.rejects(extraction, (error) => error instanceof ExtractionError && error.message.includes("escapes the target directory"));
+
+    // Entries written before the refused one are removed too
+    assert.deepEqual([...storage.files.keys()], ["a.tar"]);
+  });
+}
+
+test("accepts entries when the target directory is the root directory", async () => {
+  const root = path.parse(process.cwd()).root;
+  const storage = createStorage("a.tar", { "a.txt": "a" });
+  const { files } = await extractArchive(storage, "a.tar", normalizeExtractOptions({ format: "tar", to: root }));
+
+  assert.deepEqual(files, [path.join(root, "a.txt")]);
+});
+
+test("leaves existing files alone unless the policy replaces them", async () => {
+  const storage = createStorage("a.tar", { "a.txt": "new" });
+  storage.files.set(path.join("files", "a.txt"), { buffer: Buffer.from("old"), size: 3 });
+
+  await assert.rejects(extractArchive(storage, "a.tar", normalizeExtractOptions({ format: "tar", to: "files" }, { ifExists: "error" })), ExtractionError);
+  assert.equal(storage.readFile(path.join("files", "a.txt")).toString(), "old");
+
+  const { files } = await extractArchive(storage, "a.tar", normalizeExtractOptions({ format: "tar", to: "files" }, { ifExists: "skip" }));
+  assert.deepEqual(files, []);
+  assert.equal(storage.readFile(path.join("files", "a.txt")).toString(), "old");
+
+  await extractArchive(storage, "a.tar", normalizeExtractOptions({ format: "tar", to: "files" }, { ifExists: "overwrite" }));
+  assert.equal(storage.readFile(path.join("files", "a.txt")).toString(), "new");
+});
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Tests of resumed downloads: `.part` files continued with HTTP Range requests
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { randomBytes, createHash } = require("crypto");
+const { Download, MemoryStorage } = require("../index");
+
+const DATA = randomBytes(64 * 1024);
+const ETAG = '"v1"';
+
+/**
+ * Start a server sending `DATA`, honoring `Range` requests unless `state.ignoreRanges` is set
+ * @param {Object} state - Server state; `requests` receives the headers of every request
+ * @returns {Promise<{url: string, close: Function}>} URL of the data and a function stopping the server
+ */
+async function startServer(state) {
+  const server = http.createServer((req, res) => {
+    state.requests.push(req.headers);
+
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || "");
+    const ifRange = req.headers["if-range"];
+    if (range && !state.ignoreRanges && (!ifRange || ifRange === ETAG)) {
+      const start = parseInt(range[1], 10);
+      res.writeHead(206, {
+        "Content-Length": DATA.length - start,
+        "Content-Range": `bytes ${start}-${DATA.length - 1}/${DATA.length}`,
+        "Accept-Ranges": "bytes",
+        ETag: ETAG,
+      });
+      return res.end(DATA.subarray(start));
+    }
+
+    res.writeHead(200, { "Content-Length": DATA.length, "Accept-Ranges": "bytes", ETag: ETAG });
+    res.end(DATA);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/data.bin`, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+/**
+ * Create a storage holding the first bytes of `DATA` (or other data) as the `.part` file of `downloads/data.bin`
+ * @param {Buffer} partial - Content of the `.part` file
+ * @param {Object} [meta] - Content of its metadata file
+ * @returns {MemoryStorage} Storage
+ */
+function createStorage(partial, meta) {
+  const storage = new MemoryStorage();
+  storage.files.set("downloads/data.bin.part", { buffer: Buffer.from(partial), size: partial.length });
+  if (meta) storage.writeJsonFile("downloads/data.bin.part.json", meta);
+  return storage;
+}
+
+test("resumes a .part file from its size with a Range request", async (t) => {
+  const state = { requests: [], ignoreRanges: false };
+  const server = await startServer(state);
+  t.after(server.close);
+
+  const storage = createStorage(DATA.subarray(0, 20000), { etag: ETAG });
+  const download = new Download({ storage, resume: true, progress: false, silent: true });
+  const result = await download.downloadOne(server.url, { path: "downloads", fileName: "data.bin" });
+
+  assert.equal(result.success, true);
+  assert.equal(state.requests.length, 1);
+  assert.equal(state.requests[0].range, "bytes=20000-");
+  assert.equal(state.requests[0]["if-range"], ETAG);
+  assert.deepEqual(storage.readFile("downloads/data.bin"), DATA);
+  assert.equal(storage.fileExists("downloads/data.bin.part"), false);
+  assert.equal(storage.fileExists("downloads/data.bin.part.json"), false);
+});
+
+test("hashes the resumed bytes with the new ones", async (t) => {
+  const state = { requests: [], ignoreRanges: false };
+  const server = await startServer(state);
+  t.after(server.close);
+
+  const value = createHash("sha256").update(DATA).digest("hex");
+  const storage = createStorage(DATA.subarray(0, 30000), { etag: ETAG });
+  const download = new Download({ storage, resume: true, progress: false, silent: true });
+  const result = await download.downloadOne(server.url, { path: "downloads", fileName: "data.bin", checksum: { algorithm: "sha256", value } });
+
+  assert.equal(result.success, true);
+  assert.equal(result.checksum.value, value);
+});
+
+test("restarts from zero when the server ignores the range", async (t) => {
+  const state = { requests: [], ignoreRanges: true };
+  const server = await startServer(state);
+  t.after(server.close);
+
+  const storage = createStorage(Buffer.alloc(20000, 1), { etag: ETAG });
+  const download = new Download({ storage, resume: true, progress: false, silent: true });
+  const result = await download.downloadOne(server.url, { path: "downloads", fileName: "data.bin" });
+
+  assert.equal(result.success, true);
+  assert.equal(state.requests[0].range, "bytes=20000-");
+  assert.deepEqual(storage.readFile("downloads/data.bin"), DATA);
+});
+
+test("restarts from zero when the remote file changed", async (t) => {
+  const state = { requests: [], ignoreRanges: false };
+  const server = await startServer(state);
+  t.after(server.close);
+
+  // The stored ETag no longer matches, so `If-Range` makes the server send the whole file
+  const storage = createStorage(Buffer.alloc(20000, 1), { etag: '"v0"' });
+  const download = new Download({ storage, resume: true, progress: false, silent: true });
+  const result = await download.downloadOne(server.url, { path: "downloads", fileName: "data.bin" });
+
+  assert.equal(result.success, true);
+  assert.equal(state.requests[0]["if-range"], '"v0"');
+  assert.deepEqual(storage.readFile("downloads/data.bin"), DATA);
+});
+
+test("finds the .part file of a download renamed because its file exists", async (t) => {
+  const state = { requests: [], ignoreRanges: false };
+  const server = await startServer(state);
+  t.after(server.close);
+
+  const storage = createStorage(DATA.subarray(0, 20000), { etag: ETAG });
+  storage.files.set("downloads/data.bin", { buffer: Buffer.from("old"), size: 3 });
+  const download = new Download({ storage, resume: true, progress: false, silent: true, fileNamingStrategy: "counter" });
+  const result = await download.downloadOne(server.url, { path: "downloads", fileName: "data.bin" });
+
+  assert.equal(result.success, true);
+  assert.equal(result.action, "renamed");
+  assert.equal(state.requests[0].range, "bytes=20000-");
+  assert.deepEqual(storage.readFile(result.filePath), DATA);
+  assert.deepEqual(storage.readFile("downloads/data.bin"), Buffer.from("old"));
+});